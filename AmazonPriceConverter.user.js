@@ -3,7 +3,7 @@
 // @namespace    https://github.com/IceCuBear/AmazonPriceConverter
 // @author       IceCuBear
 // @license      GNU AGPLv3
-// @version      2025.12.11.6
+// @version      2026.10.19.1
 // @description  Converts Amazon prices to your preferred currency. Auto-detects site currency; configurable target, toggle, and QoL UI.
 // @downloadURL  https://raw.githubusercontent.com/IceCuBear/AmazonPriceConverter/refs/heads/main/AmazonPriceConverter.user.js
 // @updateURL    https://raw.githubusercontent.com/IceCuBear/AmazonPriceConverter/refs/heads/main/AmazonPriceConverter.user.js
@@ -23,7 +23,35 @@
 // @grant        GM_xmlhttpRequest
 // @grant        GM_setValue
 // @grant        GM_getValue
+// @grant        GM_deleteValue
+// @grant        GM_addValueChangeListener
 // @connect      open.er-api.com
+// @connect      www.ecb.europa.eu
+// @connect      api.frankfurter.app
+// @connect      amazon.de
+// @connect      amazon.fr
+// @connect      amazon.it
+// @connect      amazon.es
+// @connect      amazon.nl
+// @connect      amazon.com.be
+// @connect      amazon.ie
+// @connect      amazon.se
+// @connect      amazon.pl
+// @connect      amazon.co.uk
+// @connect      amazon.com
+// @connect      amazon.ca
+// @connect      amazon.com.mx
+// @connect      amazon.com.br
+// @connect      amazon.co.jp
+// @connect      amazon.com.au
+// @connect      amazon.com.tr
+// @connect      amazon.ae
+// @connect      amazon.sa
+// @connect      amazon.eg
+// @connect      amazon.in
+// @connect      amazon.sg
+// @connect      localhost
+// @connect      127.0.0.1
 // ==/UserScript==
 
 (function () {
@@ -36,26 +64,190 @@
 
     /** Settings keys for GM storage. */
     const KV = {
+        schemaVersion: 'apc_schema_version',
         enabled: 'apc_enabled',
-        targetCurrency: 'apc_target_currency',
+        targetCurrency: 'apc_target_currency', // primary (first) target, kept for older installs
+        targetCurrencies: 'apc_target_currencies',
         targetLocale: 'apc_target_locale',
         targetSuffix: 'apc_target_suffix',
         overrideFormatting: 'apc_override_formatting',
+        fxProviders: 'apc_fx_providers',
+        customFxUrl: 'apc_fx_custom_url',
+        customFxPath: 'apc_fx_custom_path',
+        paymentProfiles: 'apc_payment_profiles',
+        activePayment: 'apc_payment_active',
+        landedEnabled: 'apc_landed_enabled',
+        landedDestination: 'apc_landed_dest',
+        landedTable: 'apc_landed_table',
+        siteProfiles: 'apc_site_profiles', // {marketplace: {setting: value}} overrides
+        baseOverride: 'apc_base_override',
+        cartSummary: 'apc_cart_summary',
+        displayMode: 'apc_display_mode',
+        hintTemplate: 'apc_hint_template',
+        hintPlacement: 'apc_hint_placement',
+        hintColor: 'apc_hint_color',
+        hintOpacity: 'apc_hint_opacity',
+        hintScale: 'apc_hint_scale',
+        hintCompact: 'apc_hint_compact',
+        valueUnits: 'apc_value_units',
+        customRules: 'apc_custom_rules',
+        disabledRules: 'apc_disabled_rules',
+        deferOffscreen: 'apc_defer_offscreen',
+        budgetEnabled: 'apc_budget_enabled',
+        budgetMin: 'apc_budget_min',
+        budgetMax: 'apc_budget_max',
+        budgetWithDelivery: 'apc_budget_delivery',
+        budgetAction: 'apc_budget_action',
+        budgetBadge: 'apc_budget_badge',
+        resultSort: 'apc_result_sort',
+        checkoutCompare: 'apc_checkout_compare',
+        compareEnabled: 'apc_compare_enabled',
+        compareDomains: 'apc_compare_domains',
+        historyIndex: 'apc_hist_index', // [{key, t}] of stored price histories, most recent last
+        history: 'apc_hist_', // prefix + marketplace + '_' + ASIN
         lastRates: 'apc_rates_', // prefix + base
         lastUpdate: 'apc_rates_ts_', // prefix + base
+        lastProvider: 'apc_rates_src_', // prefix + base
+        fetchLock: 'apc_rates_lock_', // prefix + base; {tab, until} of the tab fetching that table
+        historicalRates: 'apc_rates_hist_', // prefix + base + '_' + YYYY-MM-DD
     };
 
     /** Default settings. */
     const DEFAULTS = {
         enabled: true,
         targetCurrency: 'HUF',
+        targetCurrencies: ['HUF'],
         targetLocale: 'hu-HU',
         targetSuffix: ' Ft',
         overrideFormatting: false,
+        fxProviders: ['erapi', 'ecb', 'frankfurter'], // enabled providers, in fallback order
+        customFxUrl: '', // e.g. https://example.org/rates?base={base}
+        customFxPath: 'rates', // dotted path to the rates object in the JSON response
+        // Card/bank fee models applied on top of mid-market rates. The fixed fee is
+        // in the primary target currency; weekendDays uses Date#getDay (0 = Sunday).
+        paymentProfiles: [
+            {id: 'mid', name: 'Mid-market (no fees)', markupPct: 0, fixedFee: 0, weekendPct: 0, weekendDays: [0, 6]},
+        ],
+        activePayment: 'mid',
+        baseOverride: '', // '' = auto-detect per element/page
+        cartSummary: true, // converted grand-total widget on the cart page
+        displayMode: 'hint', // 'hint' (≈ next to the price) or 'replace' (converted price in place)
+        // Hint look: template placeholders are filled by fillHintTemplate().
+        hintTemplate: '(≈ {value})',
+        hintPlacement: 'inline', // 'inline', 'badge' (pill) or 'below' (own line)
+        hintColor: '#111111', // '' = the page's own text colour (works with dark-mode extensions)
+        hintOpacity: 1, // 0.2–1
+        hintScale: 100, // font size in % of Amazon's size for that price
+        hintCompact: false, // abbreviated numbers ("12,3 E Ft")
+        // Non-money units shown after the converted amounts. 'per': price ÷ amount
+        // ("≈ 3.5 h" for an hourly wage); 'percent': share of the amount ("12% of
+        // monthly budget"). Amounts are in the unit's own currency; 0 = not set up.
+        valueUnits: [
+            {label: 'h', amount: 0, currency: 'HUF', mode: 'per', decimals: 1, enabled: false},
+            {label: 'of monthly budget', amount: 0, currency: 'HUF', mode: 'percent', decimals: 0, enabled: false},
+        ],
+        customRules: [], // user price rules, same shape as BUILTIN_PRICE_RULES; tried first
+        disabledRules: [], // ids of built-in or user rules that are switched off
+        deferOffscreen: false, // convert search results only when they scroll into view
+        // Per-item budget for search results, in the primary target currency (0 = no limit).
+        budgetEnabled: false,
+        budgetMin: 0,
+        budgetMax: 0,
+        budgetWithDelivery: false, // compare goods + delivery instead of the item price alone
+        budgetAction: 'dim', // 'dim' or 'hide' results outside the range
+        budgetBadge: true, // mark results inside the range
+        resultSort: true, // "sort by converted total" bar on search pages
+        checkoutCompare: true, // Amazon Currency Converter vs. card comparison at checkout
+        // Marketplaces offered in the product-page comparison. Entries are Amazon
+        // hosts ("amazon.fr") or full base URLs ("http://localhost:8000/amazon.fr",
+        // e.g. a local fixture server; the last "amazon.*" path segment names the site).
+        compareEnabled: true,
+        compareDomains: ['amazon.de', 'amazon.fr', 'amazon.it', 'amazon.es'],
+        // Landed-cost estimate for cross-border orders: import VAT on goods + delivery,
+        // plus duty once the consignment exceeds the duty-free threshold. Destinations
+        // sharing a customs union with the marketplace are treated as domestic.
+        // Duty varies by product category; 4% is a rough EU average to start from.
+        landedEnabled: false,
+        landedDestination: 'HU',
+        landedTable: [
+            {code: 'HU', vatPct: 27, dutyPct: 4, threshold: 150, thresholdCurrency: 'EUR', union: 'EU'},
+            {code: 'PL', vatPct: 23, dutyPct: 4, threshold: 150, thresholdCurrency: 'EUR', union: 'EU'},
+            {code: 'DE', vatPct: 19, dutyPct: 4, threshold: 150, thresholdCurrency: 'EUR', union: 'EU'},
+            {code: 'AT', vatPct: 20, dutyPct: 4, threshold: 150, thresholdCurrency: 'EUR', union: 'EU'},
+            {code: 'FR', vatPct: 20, dutyPct: 4, threshold: 150, thresholdCurrency: 'EUR', union: 'EU'},
+            {code: 'IT', vatPct: 22, dutyPct: 4, threshold: 150, thresholdCurrency: 'EUR', union: 'EU'},
+            {code: 'ES', vatPct: 21, dutyPct: 4, threshold: 150, thresholdCurrency: 'EUR', union: 'EU'},
+            {code: 'NL', vatPct: 21, dutyPct: 4, threshold: 150, thresholdCurrency: 'EUR', union: 'EU'},
+            {code: 'CZ', vatPct: 21, dutyPct: 4, threshold: 150, thresholdCurrency: 'EUR', union: 'EU'},
+            {code: 'RO', vatPct: 21, dutyPct: 4, threshold: 150, thresholdCurrency: 'EUR', union: 'EU'},
+            {code: 'SE', vatPct: 25, dutyPct: 4, threshold: 150, thresholdCurrency: 'EUR', union: 'EU'},
+            {code: 'GB', vatPct: 20, dutyPct: 4, threshold: 135, thresholdCurrency: 'GBP', union: 'GB'},
+        ],
+        // Per-marketplace overrides ("amazon.co.uk" → only the settings that differ from global).
+        siteProfiles: {},
     };
 
-    /** Exchange-rate endpoint and cache lifetime. */
+    /** Exchange-rate endpoints and cache lifetime. */
     const FX_BASE_URL = `https://open.er-api.com/v6/latest/`;
+    const ECB_DAILY_URL = `https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml`;
+    const FRANKFURTER_URL = `https://api.frankfurter.app/`;
+    // Historical rates (ECB reference, via Frankfurter): `${url}${date}?from=${base}`.
+    const HISTORICAL_FX_URL = FRANKFURTER_URL;
+    const FX_TIMEOUT_MS = 15000;
+    // Backoff between failed refreshes: 30 s, 1 min, 2 min, … capped at 30 min.
+    const FX_RETRY_BASE_MS = 30 * 1000;
+    const FX_RETRY_MAX_MS = 30 * 60 * 1000;
+    // Cross-tab fetch lock: held for at most the whole provider chain, claims
+    // settle before they count, and waiting tabs poll for the result.
+    const FX_LOCK_MS = 4 * FX_TIMEOUT_MS;
+    const FX_LOCK_SETTLE_MS = 250;
+    const FX_LOCK_POLL_MS = 500;
+
+    /** Price history bounds: products kept, points per product, and repeat-suppression window. */
+    const HISTORY_MAX_PRODUCTS = 300;
+    const HISTORY_MAX_POINTS = 100;
+    const HISTORY_MIN_GAP_MS = 6 /* h */ * 60 * 60 * 1000;
+
+    /**
+     * Cart page building blocks. Line items carry machine-readable data-price and
+     * data-quantity attributes; the rest are best-effort text selectors.
+     */
+    const CART_SELECTORS = {
+        items: '#sc-active-cart .sc-list-item[data-asin]:not([data-removed="true"])',
+        title: '.sc-product-title, .a-truncate-full, .sc-grid-item-product-title',
+        itemPrice: '.sc-product-price, .sc-item-price-block .a-price, .apex-price-to-pay-value',
+        quantity: 'select[name="quantity"], input[name="quantityBox"], [data-a-selector="value"], .a-dropdown-prompt',
+        subtotal: '#sc-subtotal-amount-activecart .sc-price, #sc-subtotal-amount-buybox .sc-price',
+        shipping: '#sc-shipping-amount .sc-price, .sc-shipping-price .sc-price',
+        promotions: '.sc-promotion-amount .sc-price, .sc-product-promotion .sc-price',
+    };
+
+    /**
+     * Built-in price rules, tried in order after the user's own rules. The first
+     * rule that converts an element claims it.
+     * - extractor: 'structured' (Amazon's whole/fraction/offscreen markup; a trailing
+     *   "/100 g" makes it a unit price), 'text' (text of `child`, else the element)
+     *   or 'attribute' (value of `attribute`)
+     * - insertion: 'append' (into the element), 'after' (right after it),
+     *   'inside' (into `child`, else the element) or 'beside' (into the parent of
+     *   `child`, i.e. next to it on the same line, else into the element)
+     */
+    const BUILTIN_PRICE_RULES = [
+        {id: 'a-text-price', label: 'List and unit prices', selector: '.a-price.a-text-price', extractor: 'structured', insertion: 'append'},
+        {id: 'a-price', label: 'Price widgets', selector: '.a-price', extractor: 'structured', insertion: 'after'},
+        {id: 'delivery', label: 'Delivery badges', selector: '[data-csa-c-delivery-price]', extractor: 'attribute', attribute: 'data-csa-c-delivery-price', insertion: 'beside', child: '.a-text-bold'},
+        {id: 'cart', label: 'Cart totals and unit prices', selector: '.sc-price, .ewc-subtotal-amount, .ewc-unit-price', extractor: 'text', child: 'h2', insertion: 'inside'},
+    ];
+    const RULE_EXTRACTORS = ['structured', 'text', 'attribute'];
+    const RULE_INSERTIONS = ['append', 'after', 'inside', 'beside'];
+
+    /** Main buy-box price on product pages (newer and older layouts). */
+    const MAIN_PRICE_SELECTOR = [
+        '#corePriceDisplay_desktop_feature_div .a-price:not(.a-text-price)',
+        '#corePrice_feature_div .a-price:not(.a-text-price)',
+        '#corePrice_desktop .a-price:not(.a-text-price)',
+        '#apex_desktop .a-price:not(.a-text-price)',
+    ].join(', ');
     const FX_CACHE_MS = 12 /* h */ * 60 * 60 * 1000;
 
     ////////////////////////////////////////////////////////////////////////////
@@ -65,29 +257,55 @@
 
     // Quick check: skip text without any digits.
     const NUMBER_TEST_REGEX = /[0-9]/;
-    // Clean everything except digits and punctuation commonly used by prices.
-    const CLEAN_REGEX = /[^\d.,]/g;
-    const COMMA_GLOBAL_REGEX = /,/g;
-    const DOT_GLOBAL_REGEX = /\./g;
+    // One number inside a price string: digits with dot/comma/apostrophe separators;
+    // spaces only count as group separators when followed by exactly three digits.
+    const NUMBER_TOKEN_REGEX = /\d(?:[\d.,'’]|[\s\u00a0\u202f\u2009](?=\d{3}(?!\d)))*/;
+    const NUMBER_TOKENS_REGEX = new RegExp(NUMBER_TOKEN_REGEX.source, 'g');
+    // Characters that are only ever group separators.
+    const GROUP_ONLY_REGEX = /[\s\u00a0\u202f\u2009'’]/g;
+    // "€10.99 – €24.99", "10,99 € - 24,99 €", "$10-$20", "10 to 20".
+    const RANGE_SPLIT_REGEX = /\s*[–—]\s*|\s+-\s+|(?<=\d)\s*-\s*(?=\D{0,4}\d)|\s+(?:to|bis|à|a|al|tot|till|do)\s+(?=\D{0,4}\d)/i;
+    // Unit prices: "€3.20 / 100 g", "(3,20 €/kg)", "£0.25 per count".
+    const UNIT_REGEX = /^(.*?\d.*?)\s*(?:\/|\bper\b|\bpro\b)\s*([^)]*?)\s*\)?\s*$/i;
 
     // Global state: resolved settings and helpers built at runtime.
     let SETTINGS = null; // populated in init
-    let FORMATTER = null; // Intl.NumberFormat built from SETTINGS
+    let FORMATTERS = {}; // target ISO -> Intl.NumberFormat built from SETTINGS
     let CURRENT_BASE = null; // detected base ISO
-    let CURRENT_RATE = 0; // base -> target
+    let CURRENT_RATES = {}; // target ISO -> base->target rate
+    let CURRENT_RATE = 0; // base -> primary target
+    let RATE_INFO = null; // {provider, ts, stale, rates} of the table behind CURRENT_RATES
+    const RATE_RETRY = {attempt: 0, timer: null, nextAt: 0}; // backoff state for failed fetches
+    const TAB_ID = Math.random().toString(36).slice(2); // owner id for the cross-tab fetch lock
 
     /**
-     * Simple debounce helper to coalesce rapid DOM changes.
-     * @param {Function} fn - Function to execute.
-     * @param {number} waitMs - Debounce interval in milliseconds.
-     * @returns {Function}
+     * Promise wrapper around GM_xmlhttpRequest for cross-origin GETs.
+     * @param {string} url
+     * @returns {Promise<string>} Response text; rejects on network errors, timeouts and HTTP >= 400.
      */
-    function debounce(fn, waitMs) {
-        let t = null;
-        return function debounced(...args) {
-            if (t) clearTimeout(t);
-            t = setTimeout(() => fn.apply(this, args), waitMs);
-        };
+    function gmGet(url) {
+        return new Promise((resolve, reject) => {
+            GM_xmlhttpRequest({
+                method: 'GET',
+                url,
+                timeout: FX_TIMEOUT_MS,
+                onload: (response) => {
+                    if (response.status >= 400) reject(new Error(`HTTP ${response.status} for ${url}`));
+                    else resolve(response.responseText);
+                },
+                onerror: () => reject(new Error(`Network error for ${url}`)),
+                ontimeout: () => reject(new Error(`Timeout for ${url}`)),
+            });
+        });
+    }
+
+    /**
+     * Read a value from a nested object by dotted path ("data.rates").
+     * An empty path returns the object itself.
+     */
+    function getByPath(obj, path) {
+        return String(path || '').split('.').filter(Boolean)
+            .reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
     }
 
     ////////////////////////////////////////////////////////////////////////////
@@ -96,665 +314,4776 @@
     ////////////////////////////////////////////////////////////////////////////
 
     /**
-     * Load settings from storage with defaults.
+     * Uppercase, validate and de-duplicate a list of ISO codes, keeping order.
+     * @param {Array<string>} list
+     * @returns {Array<string>} Never empty; falls back to the default target.
      */
-    function loadSettings() {
-        return {
-            enabled: GM_getValue(KV.enabled, DEFAULTS.enabled),
-            targetCurrency: GM_getValue(KV.targetCurrency, DEFAULTS.targetCurrency),
-            targetLocale: GM_getValue(KV.targetLocale, DEFAULTS.targetLocale),
-            targetSuffix: GM_getValue(KV.targetSuffix, DEFAULTS.targetSuffix),
-            overrideFormatting: GM_getValue(KV.overrideFormatting, DEFAULTS.overrideFormatting),
-        };
+    function normalizeCurrencyList(list) {
+        const out = [];
+        (Array.isArray(list) ? list : [list]).forEach(code => {
+            const iso = String(code || '').trim().toUpperCase();
+            if (/^[A-Z]{3}$/.test(iso) && !out.includes(iso)) out.push(iso);
+        });
+        return out.length ? out : DEFAULTS.targetCurrencies.slice();
     }
 
-    /** Persist provided settings fields. */
-    function saveSettings(partial) {
-        if (partial.hasOwnProperty('enabled')) GM_setValue(KV.enabled, !!partial.enabled);
-        if (partial.hasOwnProperty('targetCurrency')) GM_setValue(KV.targetCurrency, String(partial.targetCurrency || '').toUpperCase());
-        if (partial.hasOwnProperty('targetLocale')) GM_setValue(KV.targetLocale, String(partial.targetLocale || ''));
-        if (partial.hasOwnProperty('targetSuffix')) GM_setValue(KV.targetSuffix, String(partial.targetSuffix || ''));
-        if (partial.hasOwnProperty('overrideFormatting')) GM_setValue(KV.overrideFormatting, !!partial.overrideFormatting);
-        SETTINGS = loadSettings();
-        FORMATTER = buildFormatter(SETTINGS);
+    /** Current settings schema; bump it together with a new SETTINGS_MIGRATIONS step. */
+    const SETTINGS_SCHEMA_VERSION = 1;
+
+    /** Marker of exported settings files. */
+    const SETTINGS_EXPORT_FORMAT = 'amazon-price-converter-settings';
+
+    /**
+     * Ordered schema migrations. Each step upgrades settings stored at
+     * `version - 1` to `version`. Steps only see settings by name through
+     * `get(name, fallback)`/`set(name, value)`, so the same code upgrades both
+     * the userscript storage and an imported file.
+     */
+    const SETTINGS_MIGRATIONS = [
+        {
+            version: 1,
+            note: 'Single target currency → ordered list of target currencies',
+            run: (get, set) => {
+                if (!Array.isArray(get('targetCurrencies', null))) {
+                    set('targetCurrencies', [get('targetCurrency', DEFAULTS.targetCurrency)]);
+                }
+            },
+        },
+    ];
+
+    /**
+     * Apply the migrations newer than `fromVersion`.
+     * @returns {number} The version reached.
+     */
+    function applySettingsMigrations(fromVersion, get, set) {
+        let version = fromVersion;
+        SETTINGS_MIGRATIONS.filter(m => m.version > fromVersion).forEach(m => {
+            m.run(get, set);
+            version = m.version;
+        });
+        return version;
     }
 
-    /** Build Intl formatter based on settings. */
-    function buildFormatter(s) {
-        // Prefer currency-specific auto locale unless user overrides.
-        const auto = getAutoFormattingFor(s.targetCurrency);
-        const locale = s.overrideFormatting ? (s.targetLocale || undefined) : (auto.locale || navigator.language || undefined);
-        // Zero fraction for currencies typically without minor units.
-        const zeroFrac = /^(HUF|JPY|ISK)$/.test(s.targetCurrency);
-        return new Intl.NumberFormat(locale, {
-            style: 'decimal',
-            maximumFractionDigits: zeroFrac ? 0 : 2,
-            minimumFractionDigits: zeroFrac ? 0 : 0,
+    /** Upgrade the stored settings to the current schema (a no-op once up to date). */
+    function migrateStoredSettings() {
+        const stored = GM_getValue(KV.schemaVersion, 0);
+        if (stored >= SETTINGS_SCHEMA_VERSION) return;
+        applySettingsMigrations(stored,
+            (name, fallback) => GM_getValue(KV[name], fallback),
+            (name, value) => GM_setValue(KV[name], value));
+        GM_setValue(KV.schemaVersion, SETTINGS_SCHEMA_VERSION);
+    }
+
+    /**
+     * Load settings from storage with defaults, migrating older schemas first.
+     * The marketplace's site profile, if any, overrides the global values field
+     * by field; `profileSite` names it and `siteOverrides` lists what it changes.
+     * `targetCurrency` always mirrors the first entry of `targetCurrencies`.
+     * @param {string|null} [site] Marketplace key; null loads the global settings only.
+     */
+    function loadSettings(site = getMarketplaceKey()) {
+        migrateStoredSettings();
+        const siteProfiles = normalizeSiteProfiles(GM_getValue(KV.siteProfiles, DEFAULTS.siteProfiles));
+        const profile = (site && siteProfiles[site]) || {};
+        const read = (name) => (Object.prototype.hasOwnProperty.call(profile, name) ? profile[name] : GM_getValue(KV[name], DEFAULTS[name]));
+        // Stored values get the same coercion as saved and imported ones, so a
+        // hand-edited or very old value falls back instead of stopping init.
+        const stored = {};
+        Object.keys(DEFAULTS).forEach(name => {
+            if (name !== 'targetCurrency' && name !== 'siteProfiles') stored[name] = read(name);
+        });
+        return Object.assign(normalizeSettingsPartial(stored), {
+            siteProfiles,
+            profileSite: Object.keys(profile).length ? site : null,
+            siteOverrides: Object.keys(profile),
         });
     }
 
-    /** Currency metadata used for automatic suffix/locale suggestions. */
-    const CURRENCY_META = {
-        HUF: {suffix: ' Ft', locale: 'hu-HU', zero: true},
-        EUR: {suffix: ' €', locale: 'de-DE', zero: false},
-        USD: {suffix: ' $', locale: 'en-US', zero: false},
-        GBP: {suffix: ' £', locale: 'en-GB', zero: false},
-        PLN: {suffix: ' zł', locale: 'pl-PL', zero: false},
-        SEK: {suffix: ' kr', locale: 'sv-SE', zero: false},
-        CZK: {suffix: ' Kč', locale: 'cs-CZ', zero: false},
-        RON: {suffix: ' lei', locale: 'ro-RO', zero: false},
-        JPY: {suffix: ' ¥', locale: 'ja-JP', zero: true},
-        TRY: {suffix: ' ₺', locale: 'tr-TR', zero: false},
-        AUD: {suffix: ' A$', locale: 'en-AU', zero: false},
-        CAD: {suffix: ' C$', locale: 'en-CA', zero: false},
-        CHF: {suffix: ' CHF', locale: 'de-CH', zero: false},
-        NOK: {suffix: ' kr', locale: 'nb-NO', zero: false},
-        DKK: {suffix: ' kr', locale: 'da-DK', zero: false},
-        MXN: {suffix: ' MX$', locale: 'es-MX', zero: false},
-    };
+    /**
+     * Coerce stored landed-cost rows into well-formed objects (one per destination code).
+     * @returns {Array<{code: string, vatPct: number, dutyPct: number, threshold: number, thresholdCurrency: string, union: string}>}
+     */
+    function normalizeLandedTable(list) {
+        const num = (v) => (isFinite(parseFloat(v)) ? Math.max(0, parseFloat(v)) : 0);
+        const seen = new Set();
+        return (Array.isArray(list) ? list : []).map(r => ({
+            code: String((r && r.code) || '').trim().toUpperCase(),
+            vatPct: num(r && r.vatPct),
+            dutyPct: num(r && r.dutyPct),
+            threshold: num(r && r.threshold),
+            thresholdCurrency: String((r && r.thresholdCurrency) || 'EUR').trim().toUpperCase(),
+            union: String((r && r.union) || '').trim().toUpperCase(),
+        })).filter(r => r.code && !seen.has(r.code) && seen.add(r.code));
+    }
 
-    /** Compute automatic suffix and locale for a currency. */
-    function getAutoFormattingFor(code) {
-        const iso = String(code || '').toUpperCase();
-        const meta = CURRENCY_META[iso];
-        const locale = (meta && meta.locale) || (navigator.language || 'en-US');
-        const suffix = (meta && meta.suffix) || (' ' + iso);
-        return {locale, suffix};
+    /** Coerce stored value units; rows without a label are dropped. */
+    function normalizeValueUnits(list) {
+        return (Array.isArray(list) ? list : []).filter(u => u && String(u.label || '').trim()).map(u => ({
+            label: String(u.label).trim(),
+            amount: isFinite(parseFloat(u.amount)) ? Math.max(0, parseFloat(u.amount)) : 0,
+            currency: /^[A-Za-z]{3}$/.test(String(u.currency || '').trim()) ? String(u.currency).trim().toUpperCase() : DEFAULTS.targetCurrency,
+            mode: VALUE_UNIT_MODES.includes(u.mode) ? u.mode : 'per',
+            decimals: Math.min(4, Math.max(0, Math.round(Number(u.decimals) || 0))),
+            enabled: !!u.enabled,
+        }));
     }
 
-    /** Map hostname/TLD to base currency; fallback to DOM detection later. */
-    function detectBaseCurrencyFromHost(host) {
-        host = host || location.hostname;
-        // Common Amazon locales
-        const map = [
-            [/amazon\.(de|fr|it|es|nl|com\.be|com\.tr|ae|sa)/, 'EUR'],
-            [/amazon\.se/, 'SEK'],
-            [/amazon\.pl/, 'PLN'],
-            [/amazon\.co\.uk/, 'GBP'],
-            [/amazon\.com\.au/, 'AUD'],
-            [/amazon\.ca/, 'CAD'],
-            [/amazon\.co\.jp/, 'JPY'],
-            [/amazon\.com\.mx/, 'MXN'],
-            [/amazon\.com/, 'USD'],
-        ];
-        for (const [re, iso] of map) {
-            if (re.test(host)) return iso;
-        }
-        return 'USD'; // safe default
+    /**
+     * Coerce stored user price rules into well-formed objects with unique ids.
+     * @returns {Array<{id: string, label: string, selector: string, extractor: string, attribute: string, child: string, insertion: string}>}
+     */
+    function normalizePriceRules(list) {
+        const seen = new Set();
+        return (Array.isArray(list) ? list : []).filter(r => r && String(r.selector || '').trim()).map((r, i) => {
+            let id = String(r.id || `user-${i + 1}`);
+            while (seen.has(id)) id += '-';
+            seen.add(id);
+            const selector = String(r.selector).trim();
+            return {
+                id,
+                label: String(r.label || selector),
+                selector,
+                extractor: RULE_EXTRACTORS.includes(r.extractor) ? r.extractor : 'text',
+                attribute: String(r.attribute || '').trim(),
+                child: String(r.child || '').trim(),
+                insertion: RULE_INSERTIONS.includes(r.insertion) ? r.insertion : 'append',
+            };
+        });
     }
 
     /**
-     * Fetch BASE→TARGET exchange rate with per-base caching to minimize requests.
-     * Uses open.er-api.com and stores the full rates table keyed by base ISO.
-     * @param {string} baseIso ISO 4217 base currency (e.g., EUR)
-     * @param {string} targetIso ISO 4217 target currency (e.g., HUF)
-     * @returns {Promise<number>} Resolved to a positive rate or 0 on failure.
+     * Coerce stored payment profiles into well-formed objects.
+     * @returns {Array<{id: string, name: string, markupPct: number, fixedFee: number, weekendPct: number, weekendDays: Array<number>}>}
      */
-    async function getExchangeRate(baseIso, targetIso) {
-        baseIso = String(baseIso || '').toUpperCase();
-        targetIso = String(targetIso || '').toUpperCase();
-        if (baseIso === targetIso) return 1;
+    function normalizePaymentProfiles(list) {
+        const num = (v) => (isFinite(parseFloat(v)) ? parseFloat(v) : 0);
+        const out = (Array.isArray(list) ? list : []).filter(p => p && p.id).map(p => ({
+            id: String(p.id),
+            name: String(p.name || p.id),
+            markupPct: num(p.markupPct),
+            fixedFee: num(p.fixedFee),
+            weekendPct: num(p.weekendPct),
+            weekendDays: (Array.isArray(p.weekendDays) ? p.weekendDays : []).map(Number)
+                .filter((d, i, all) => d >= 0 && d <= 6 && all.indexOf(d) === i).sort(),
+        }));
+        return out.length ? out : DEFAULTS.paymentProfiles.map(p => Object.assign({}, p));
+    }
 
-        const now = Date.now();
-        const tsKey = KV.lastUpdate + baseIso;
-        const ratesKey = KV.lastRates + baseIso;
-        const lastUpdate = GM_getValue(tsKey, 0);
-        const cachedRates = GM_getValue(ratesKey, null);
-        if (cachedRates && (now - lastUpdate) < FX_CACHE_MS) {
-            const rate = cachedRates[targetIso];
-            return rate && isFinite(rate) && rate > 0 ? rate : 0;
+    /**
+     * Coerce the provided settings fields into their stored form.
+     * @returns {Object} Only the fields present in `partial`.
+     */
+    function normalizeSettingsPartial(partial) {
+        const has = (name) => Object.prototype.hasOwnProperty.call(partial, name);
+        const out = {};
+        if (has('enabled')) out.enabled = !!partial.enabled;
+        if (has('targetCurrencies')) out.targetCurrencies = normalizeCurrencyList(partial.targetCurrencies);
+        else if (has('targetCurrency')) out.targetCurrencies = normalizeCurrencyList([String(partial.targetCurrency || '').toUpperCase()]);
+        if (out.targetCurrencies) out.targetCurrency = out.targetCurrencies[0];
+        if (has('targetLocale')) out.targetLocale = String(partial.targetLocale || '');
+        if (has('targetSuffix')) out.targetSuffix = String(partial.targetSuffix || '');
+        if (has('overrideFormatting')) out.overrideFormatting = !!partial.overrideFormatting;
+        if (has('fxProviders')) out.fxProviders = (Array.isArray(partial.fxProviders) ? partial.fxProviders : DEFAULTS.fxProviders).filter(id => FX_PROVIDERS[id]);
+        if (has('customFxUrl')) out.customFxUrl = typeof partial.customFxUrl === 'string' ? partial.customFxUrl.trim() : '';
+        if (has('customFxPath')) out.customFxPath = String(partial.customFxPath || '').trim();
+        if (has('paymentProfiles')) out.paymentProfiles = normalizePaymentProfiles(partial.paymentProfiles);
+        if (has('activePayment')) out.activePayment = String(partial.activePayment || '');
+        if (has('baseOverride')) out.baseOverride = String(partial.baseOverride || '').trim().toUpperCase();
+        if (has('cartSummary')) out.cartSummary = !!partial.cartSummary;
+        if (has('displayMode')) out.displayMode = partial.displayMode === 'replace' ? 'replace' : 'hint';
+        if (has('hintTemplate')) out.hintTemplate = String(partial.hintTemplate || '').trim() || DEFAULTS.hintTemplate;
+        if (has('hintPlacement')) out.hintPlacement = HINT_PLACEMENTS.includes(partial.hintPlacement) ? partial.hintPlacement : 'inline';
+        if (has('hintColor')) out.hintColor = /^#[0-9a-f]{6}$/i.test(partial.hintColor) ? partial.hintColor.toLowerCase() : '';
+        if (has('hintOpacity')) out.hintOpacity = Math.min(1, Math.max(0.2, Number(partial.hintOpacity) || 1));
+        if (has('hintScale')) out.hintScale = Math.round(Math.min(HINT_SCALE_MAX, Math.max(HINT_SCALE_MIN, Number(partial.hintScale) || 100)));
+        if (has('hintCompact')) out.hintCompact = !!partial.hintCompact;
+        if (has('valueUnits')) out.valueUnits = normalizeValueUnits(partial.valueUnits);
+        if (has('customRules')) out.customRules = normalizePriceRules(partial.customRules);
+        if (has('disabledRules')) out.disabledRules = (Array.isArray(partial.disabledRules) ? partial.disabledRules : DEFAULTS.disabledRules).map(String);
+        if (has('deferOffscreen')) out.deferOffscreen = !!partial.deferOffscreen;
+        if (has('budgetEnabled')) out.budgetEnabled = !!partial.budgetEnabled;
+        if (has('budgetMin')) out.budgetMin = Math.max(0, Number(partial.budgetMin) || 0);
+        if (has('budgetMax')) out.budgetMax = Math.max(0, Number(partial.budgetMax) || 0);
+        if (has('budgetWithDelivery')) out.budgetWithDelivery = !!partial.budgetWithDelivery;
+        if (has('budgetAction')) out.budgetAction = partial.budgetAction === 'hide' ? 'hide' : 'dim';
+        if (has('budgetBadge')) out.budgetBadge = !!partial.budgetBadge;
+        if (has('resultSort')) out.resultSort = !!partial.resultSort;
+        if (has('checkoutCompare')) out.checkoutCompare = !!partial.checkoutCompare;
+        if (has('compareEnabled')) out.compareEnabled = !!partial.compareEnabled;
+        if (has('compareDomains')) {
+            const raw = partial.compareDomains;
+            const list = (Array.isArray(raw) ? raw : (typeof raw === 'string' ? raw.split(/[\s,]+/) : DEFAULTS.compareDomains))
+                .map(d => String(d).trim()).filter(d => d && isValidCompareEntry(d));
+            out.compareDomains = list.filter((d, i) => list.indexOf(d) === i);
         }
+        if (has('landedEnabled')) out.landedEnabled = !!partial.landedEnabled;
+        if (has('landedDestination')) out.landedDestination = String(partial.landedDestination || '').toUpperCase();
+        if (has('landedTable')) out.landedTable = normalizeLandedTable(partial.landedTable);
+        if (has('siteProfiles')) out.siteProfiles = normalizeSiteProfiles(partial.siteProfiles);
+        return out;
+    }
 
-        return new Promise((resolve) => {
-            GM_xmlhttpRequest({
-                method: 'GET',
-                url: FX_BASE_URL + baseIso,
-                onload: function (response) {
-                    try {
-                        const data = JSON.parse(response.responseText);
-                        const rates = data && data.rates ? data.rates : null;
-                        if (rates && rates[targetIso] && isFinite(rates[targetIso])) {
-                            GM_setValue(ratesKey, rates);
-                            GM_setValue(tsKey, now);
-                            resolve(rates[targetIso]);
-                        } else {
-                            resolve(0);
-                        }
-                    } catch (_e) {
-                        resolve(0);
-                    }
-                },
-                onerror: () => resolve(0),
-            });
+    /** Coerce stored site profiles: marketplace → normalized overrides, empty profiles dropped. */
+    function normalizeSiteProfiles(map) {
+        const out = {};
+        Object.keys(map && typeof map === 'object' && !Array.isArray(map) ? map : {}).forEach(site => {
+            const raw = map[site];
+            if (!raw || typeof raw !== 'object') return;
+            const clean = Object.assign({}, raw);
+            delete clean.siteProfiles;
+            const values = normalizeSettingsPartial(clean);
+            delete values.targetCurrency; // derived from targetCurrencies
+            if (Object.keys(values).length) out[String(site).toLowerCase()] = values;
         });
+        return out;
     }
 
-    ////////////////////////////////////////////////////////////////////////////
-    // 4. Formatting
-    ////////////////////////////////////////////////////////////////////////////
+    /**
+     * Persist provided settings fields, globally or for one marketplace.
+     * A site profile only keeps the fields that differ from the global settings,
+     * so later global changes still reach every field the site did not change.
+     * @param {Object} partial Settings to store.
+     * @param {{site?: string}} [scope] Marketplace key to save to instead of the global settings.
+     */
+    function saveSettings(partial, scope = {}) {
+        const values = normalizeSettingsPartial(partial);
+        if (scope.site) {
+            const global = loadSettings(null);
+            const profiles = global.siteProfiles;
+            const profile = Object.assign({}, profiles[scope.site]);
+            delete values.targetCurrency;
+            delete values.siteProfiles;
+            Object.keys(values).forEach(name => {
+                if (JSON.stringify(values[name]) === JSON.stringify(global[name])) delete profile[name];
+                else profile[name] = values[name];
+            });
+            if (Object.keys(profile).length) profiles[scope.site] = profile;
+            else delete profiles[scope.site];
+            GM_setValue(KV.siteProfiles, profiles);
+        } else {
+            Object.keys(values).forEach(name => GM_setValue(KV[name], values[name]));
+        }
+        SETTINGS = loadSettings();
+        FORMATTERS = buildFormatters(SETTINGS);
+    }
+
+    /** Drop a marketplace's profile so it follows the global settings again. */
+    function clearSiteProfile(site) {
+        const profiles = normalizeSiteProfiles(GM_getValue(KV.siteProfiles, DEFAULTS.siteProfiles));
+        delete profiles[site];
+        GM_setValue(KV.siteProfiles, profiles);
+        SETTINGS = loadSettings();
+        FORMATTERS = buildFormatters(SETTINGS);
+    }
+
+    /** Settings included in exports: everything in DEFAULTS except the derived primary currency. */
+    function getExportableSettingNames() {
+        return Object.keys(DEFAULTS).filter(name => name !== 'targetCurrency');
+    }
+
+    /** Checks for single fields of nested records; each returns an error message or null. */
+    const FIELD_CHECKS = {
+        text: (v) => (typeof v === 'string' ? null : 'expected text'),
+        required: (v) => (typeof v === 'string' && v.trim() ? null : 'expected non-empty text'),
+        flag: (v) => (typeof v === 'boolean' ? null : 'expected true or false'),
+        number: (v) => (typeof v === 'number' && isFinite(v) ? null : 'expected a number'),
+        amount: (v) => (typeof v === 'number' && isFinite(v) && v >= 0 ? null : 'expected 0 or a positive number'),
+        currency: (v) => (typeof v === 'string' && /^[A-Z]{3}$/.test(v) ? null : 'expected an upper-case ISO 4217 code'),
+        oneOf: (values) => (v) => (values.includes(v) ? null : `expected one of ${values.join(', ')}`),
+    };
 
     /**
-     * Formats a numeric value into the currently selected target-currency string.
-     * Uses Intl.NumberFormat with auto/override locale and appends a suffix.
-     * @param {number} value
-     * @returns {string}
+     * Check every record of a nested list (payment profiles, landed rows, …) field
+     * by field. Fields named in `required` must be present; the rest may be left
+     * out and get their defaults.
+     * @param {Array} list
+     * @param {Object<string, Function>} fields Field name → check from FIELD_CHECKS.
+     * @param {Array<string>} required
+     * @returns {string|null} Every problem as "item N, field: message", or null.
      */
-    function formatCurrency(value) {
-        const auto = getAutoFormattingFor(SETTINGS?.targetCurrency);
-        const suffix = SETTINGS?.overrideFormatting ? (SETTINGS?.targetSuffix || auto.suffix) : auto.suffix;
-        return FORMATTER.format(value) + suffix;
+    function checkRecords(list, fields, required) {
+        const problems = [];
+        list.forEach((record, i) => {
+            if (!record || typeof record !== 'object' || Array.isArray(record)) {
+                problems.push(`item ${i + 1}: expected an object`);
+                return;
+            }
+            Object.keys(fields).forEach(field => {
+                if (!Object.prototype.hasOwnProperty.call(record, field)) {
+                    if (required.includes(field)) problems.push(`item ${i + 1}, ${field}: missing`);
+                    return;
+                }
+                const problem = fields[field](record[field]);
+                if (problem) problems.push(`item ${i + 1}, ${field}: ${problem}`);
+            });
+        });
+        return problems.length ? problems.join('; ') : null;
     }
 
-    ////////////////////////////////////////////////////////////////////////////
-    // 5. Visual Element Creation
-    ////////////////////////////////////////////////////////////////////////////
+    /** Field checks beyond the type taken from DEFAULTS; each returns an error message or null. */
+    const SETTING_CHECKS = {
+        targetCurrencies: (v) => (v.length && v.every(c => /^[A-Za-z]{3}$/.test(c)) ? null : 'expected a non-empty list of ISO 4217 codes'),
+        fxProviders: (v) => {
+            const unknown = v.filter(id => !FX_PROVIDERS[id]);
+            return unknown.length ? `unknown provider(s): ${unknown.join(', ')}` : null;
+        },
+        customFxUrl: (v) => (!v || /^https?:\/\//i.test(v) ? null : 'expected an http(s) URL'),
+        baseOverride: (v) => (!v || /^[A-Za-z]{3}$/.test(v) ? null : 'expected an ISO 4217 code or empty'),
+        displayMode: (v) => (v === 'hint' || v === 'replace' ? null : 'expected "hint" or "replace"'),
+        hintPlacement: (v) => (HINT_PLACEMENTS.includes(v) ? null : `expected one of ${HINT_PLACEMENTS.join(', ')}`),
+        hintColor: (v) => (!v || /^#[0-9a-f]{6}$/i.test(v) ? null : 'expected a #rrggbb colour or empty'),
+        hintOpacity: (v) => (v >= 0.2 && v <= 1 ? null : 'expected a value from 0.2 to 1'),
+        hintScale: (v) => (v >= HINT_SCALE_MIN && v <= HINT_SCALE_MAX ? null : `expected a percentage from ${HINT_SCALE_MIN} to ${HINT_SCALE_MAX}`),
+        budgetMin: (v) => (v >= 0 ? null : 'expected 0 or a positive amount'),
+        budgetMax: (v) => (v >= 0 ? null : 'expected 0 or a positive amount'),
+        budgetAction: (v) => (v === 'dim' || v === 'hide' ? null : 'expected "dim" or "hide"'),
+        customRules: (v) => checkRecords(v, {
+            id: FIELD_CHECKS.text,
+            label: FIELD_CHECKS.text,
+            selector: FIELD_CHECKS.required,
+            extractor: FIELD_CHECKS.oneOf(RULE_EXTRACTORS),
+            attribute: FIELD_CHECKS.text,
+            child: FIELD_CHECKS.text,
+            insertion: FIELD_CHECKS.oneOf(RULE_INSERTIONS),
+        }, ['selector']),
+        disabledRules: (v) => (v.every(id => typeof id === 'string') ? null : 'expected a list of rule ids'),
+        paymentProfiles: (v) => checkRecords(v, {
+            id: FIELD_CHECKS.required,
+            name: FIELD_CHECKS.text,
+            markupPct: FIELD_CHECKS.number,
+            fixedFee: FIELD_CHECKS.number,
+            weekendPct: FIELD_CHECKS.number,
+            weekendDays: (d) => (Array.isArray(d) && d.every(n => Number.isInteger(n) && n >= 0 && n <= 6)
+                ? null : 'expected a list of weekdays from 0 (Sunday) to 6'),
+        }, ['id']),
+        landedTable: (v) => checkRecords(v, {
+            code: (c) => (typeof c === 'string' && /^[A-Z]{2,3}$/.test(c) ? null : 'expected an upper-case country code'),
+            vatPct: FIELD_CHECKS.amount,
+            dutyPct: FIELD_CHECKS.amount,
+            threshold: FIELD_CHECKS.amount,
+            thresholdCurrency: FIELD_CHECKS.currency,
+            union: (u) => (typeof u === 'string' && /^[A-Z]*$/.test(u) ? null : 'expected an upper-case customs union code or empty'),
+        }, ['code']),
+        valueUnits: (v) => checkRecords(v, {
+            label: FIELD_CHECKS.required,
+            amount: FIELD_CHECKS.amount,
+            currency: FIELD_CHECKS.currency,
+            mode: FIELD_CHECKS.oneOf(VALUE_UNIT_MODES),
+            decimals: (d) => (Number.isInteger(d) && d >= 0 && d <= 4 ? null : 'expected a whole number from 0 to 4'),
+            enabled: FIELD_CHECKS.flag,
+        }, ['label']),
+        compareDomains: (v) => {
+            if (!v.every(d => typeof d === 'string')) return 'expected a list of hosts';
+            const bad = v.filter(d => !isValidCompareEntry(d));
+            return bad.length ? `not a host or http(s) URL: ${bad.join(', ')}` : null;
+        },
+        siteProfiles: (v) => {
+            if (!v || Array.isArray(v)) return 'expected an object of marketplace profiles';
+            const problems = [];
+            Object.keys(v).forEach(site => {
+                const profile = v[site];
+                if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+                    problems.push(`${site}: expected an object`);
+                    return;
+                }
+                Object.keys(profile).forEach(name => {
+                    const known = name !== 'siteProfiles' && getExportableSettingNames().includes(name);
+                    const problem = known ? validateSetting(name, profile[name]) : 'unknown setting';
+                    if (problem) problems.push(`${site}.${name}: ${problem}`);
+                });
+                const range = budgetRangeProblem(Number(profile.budgetMin) || 0, Number(profile.budgetMax) || 0);
+                if (range) problems.push(`${site}.budgetMin/budgetMax: ${range}`);
+            });
+            return problems.length ? problems.join('; ') : null;
+        },
+    };
 
     /**
-     * Creates a small inline tag like "(≈ 12 345 Ft)" next to an Amazon price.
-     * Attempts to match nearby font sizes for a cohesive look.
-     *
-     * @param {number} baseValue
-     * @param {number} rate
-     * @param {HTMLElement} contextElement
-     * @returns {HTMLSpanElement}
+     * Min/max of the budget filter must not cross; 0 leaves that end open. The
+     * per-field checks can't see this, so save and import call it separately.
+     * @returns {string|null}
      */
-    function createHintElement(baseValue, rate, contextElement) {
-        const formatted = formatCurrency(baseValue * rate);
-        const span = document.createElement('span');
+    function budgetRangeProblem(min, max) {
+        return min > 0 && max > 0 && min > max ? `minimum (${min}) is above maximum (${max})` : null;
+    }
 
-        const sizeMap = {
-            'xl': '21px',
-            'l': '17px',
-            'm': '15px',
-            's': '13px',
-            'mini': '11px'
-        };
+    /** Error message for one imported setting, or null when it is acceptable. */
+    function validateSetting(name, value) {
+        const expected = DEFAULTS[name];
+        if (Array.isArray(expected) ? !Array.isArray(value) : typeof value !== typeof expected) {
+            return `expected ${Array.isArray(expected) ? 'a list' : 'a ' + typeof expected}`;
+        }
+        return SETTING_CHECKS[name] ? SETTING_CHECKS[name](value) : null;
+    }
 
-        let sizeKey = contextElement.getAttribute('data-a-size');
+    /** Snapshot of the current settings as an export document. */
+    function exportSettings() {
+        const global = loadSettings(null);
+        const settings = {};
+        getExportableSettingNames().forEach(name => {
+            settings[name] = global[name];
+        });
+        return {
+            format: SETTINGS_EXPORT_FORMAT,
+            schemaVersion: SETTINGS_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            settings,
+        };
+    }
 
-        if (!sizeKey) {
-            if (contextElement.classList.contains('a-size-xl')) sizeKey = 'xl';
-            else if (contextElement.classList.contains('a-size-large')) sizeKey = 'l';
-            else if (contextElement.classList.contains('a-size-medium')) sizeKey = 'm';
-            else if (contextElement.classList.contains('a-size-small')) sizeKey = 's';
-            else if (contextElement.classList.contains('a-size-mini')) sizeKey = 'mini';
+    /**
+     * Validate an exported settings document and, when it is clean, save it.
+     * Older files are migrated first; unknown keys are ignored with a warning.
+     * Nothing is saved if any error is found.
+     * @param {string} text JSON text of the file.
+     * @returns {{ok: boolean, errors: string[], warnings: string[]}}
+     */
+    function importSettings(text) {
+        const errors = [];
+        const warnings = [];
+        let doc;
+        try {
+            doc = JSON.parse(text);
+        } catch (e) {
+            return {ok: false, errors: [`Not valid JSON: ${e.message}`], warnings};
+        }
+        if (!doc || typeof doc !== 'object' || doc.format !== SETTINGS_EXPORT_FORMAT) {
+            return {ok: false, errors: ['Not an Amazon Price Converter settings file'], warnings};
         }
+        const version = Number(doc.schemaVersion);
+        if (!Number.isInteger(version) || version < 0) errors.push('Missing or invalid schemaVersion');
+        else if (version > SETTINGS_SCHEMA_VERSION) {
+            errors.push(`File uses schema ${version}; this script only knows up to ${SETTINGS_SCHEMA_VERSION}. Update the script first.`);
+        }
+        if (!doc.settings || typeof doc.settings !== 'object' || Array.isArray(doc.settings)) errors.push('Missing "settings" object');
+        if (errors.length) return {ok: false, errors, warnings};
 
-        if (contextElement.closest('#corePriceDisplay_desktop_feature_div')) sizeKey = 'xl';
+        const data = Object.assign({}, doc.settings);
+        applySettingsMigrations(version,
+            (name, fallback) => (Object.prototype.hasOwnProperty.call(data, name) ? data[name] : fallback),
+            (name, value) => {
+                data[name] = value;
+            });
+        const allowed = getExportableSettingNames();
+        const partial = {};
+        Object.keys(data).forEach(name => {
+            if (name === 'targetCurrency') return; // legacy single currency, migrated above
+            if (!allowed.includes(name)) {
+                warnings.push(`Ignored unknown setting "${name}"`);
+                return;
+            }
+            const problem = validateSetting(name, data[name]);
+            if (problem) errors.push(`${name}: ${problem}`);
+            else partial[name] = data[name];
+        });
+        if (errors.length) return {ok: false, errors, warnings};
+        const current = loadSettings(null);
+        const range = budgetRangeProblem(
+            'budgetMin' in partial ? partial.budgetMin : current.budgetMin,
+            'budgetMax' in partial ? partial.budgetMax : current.budgetMax);
+        if (range) return {ok: false, errors: [`budgetMin/budgetMax: ${range}`], warnings};
+        saveSettings(partial);
+        return {ok: true, errors, warnings};
+    }
 
-        let fontSize = sizeMap[sizeKey] || '0.9em';
+    /**
+     * Build the Intl formatter for one target currency. The locale override
+     * from the advanced options only applies to the primary currency.
+     */
+    function buildFormatter(s, code, compact) {
+        code = code || s.targetCurrency;
+        // Prefer currency-specific auto locale unless user overrides.
+        const auto = getAutoFormattingFor(code);
+        const override = s.overrideFormatting && code === s.targetCurrency;
+        const locale = override ? (s.targetLocale || undefined) : (auto.locale || navigator.language || undefined);
+        if (compact) return new Intl.NumberFormat(locale, {notation: 'compact', maximumFractionDigits: 1});
+        return new Intl.NumberFormat(locale, {
+            style: 'decimal',
+            maximumFractionDigits: auto.fraction,
+            minimumFractionDigits: 0,
+        });
+    }
 
-        if (contextElement.classList.contains('a-text-price')) {
-            fontSize = '12px';
+    /** Build one formatter per selected target currency, keyed by ISO. */
+    function buildFormatters(s) {
+        const map = {};
+        s.targetCurrencies.forEach(code => {
+            map[code] = buildFormatter(s, code);
+        });
+        return map;
+    }
+
+    /**
+     * Per-currency overrides of what `Intl` derives: `locale` to format in,
+     * `prefix`/`suffix` around the number, `fraction` digits. Unlisted
+     * currencies (and unlisted fields) are derived automatically.
+     */
+    const CURRENCY_META = {
+        HUF: {locale: 'hu-HU', suffix: ' Ft', fraction: 0}, // prices are quoted in whole forints
+        EUR: {locale: 'de-DE'},
+        USD: {locale: 'en-US'},
+        GBP: {locale: 'en-GB'},
+        PLN: {locale: 'pl-PL'},
+        SEK: {locale: 'sv-SE'},
+        CZK: {locale: 'cs-CZ'},
+        RON: {locale: 'ro-RO'},
+        JPY: {locale: 'ja-JP'},
+        TRY: {locale: 'tr-TR'},
+        // Dollar currencies keep a distinct symbol, so several targets stay readable side by side.
+        AUD: {locale: 'en-AU', prefix: 'A$'},
+        CAD: {locale: 'en-CA', prefix: 'C$'},
+        CHF: {locale: 'de-CH'},
+        NOK: {locale: 'nb-NO'},
+        DKK: {locale: 'da-DK'},
+        MXN: {locale: 'es-MX', prefix: 'MX$'},
+    };
+
+    const AUTO_FORMAT_CACHE = {};
+
+    /**
+     * Minor-unit digits of a currency from `Intl` currency data (JPY → 0,
+     * EUR → 2, KWD → 3); 2 when the engine doesn't know the code.
+     */
+    function getCurrencyFraction(iso) {
+        try {
+            return new Intl.NumberFormat('en', {style: 'currency', currency: iso}).resolvedOptions().maximumFractionDigits;
+        } catch (_e) {
+            return 2;
         }
+    }
 
-        span.style.color = '#111';
-        span.style.fontFamily = 'inherit';
-        span.style.fontWeight = '400';
-        span.style.whiteSpace = 'nowrap';
-        span.style.display = 'inline';
-        span.style.fontSize = fontSize;
+    /**
+     * Symbol and placement of a currency in a locale, read from `Intl`
+     * ("$1.00" → prefix "$", "1,00 €" → suffix " €"). Falls back to the ISO
+     * code as a suffix.
+     * @returns {{prefix: string, suffix: string}}
+     */
+    function deriveCurrencyAffixes(locale, iso) {
+        let parts = null;
+        for (const currencyDisplay of ['narrowSymbol', 'symbol']) {
+            try {
+                parts = new Intl.NumberFormat(locale, {style: 'currency', currency: iso, currencyDisplay}).formatToParts(1);
+                break;
+            } catch (_e) {
+                // narrowSymbol is missing in older engines; unknown codes throw for both.
+            }
+        }
+        const at = parts ? parts.findIndex(p => p.type === 'currency') : -1;
+        if (at < 0) return {prefix: '', suffix: ' ' + iso};
+        const number = parts.findIndex(p => p.type === 'integer');
+        const around = (from, to) => parts.slice(from, to).filter(p => p.type === 'currency' || p.type === 'literal').map(p => p.value).join('');
+        return at < number ? {prefix: around(at, number), suffix: ''} : {prefix: '', suffix: around(number + 1, parts.length)};
+    }
 
-        span.style.marginLeft = (sizeKey === 'xl' || sizeKey === 'l') ? '8px' : '5px';
+    /**
+     * Automatic locale, symbol placement and fraction digits for a currency:
+     * `CURRENCY_META` fields first, the rest derived via `Intl`.
+     * @returns {{locale: string, prefix: string, suffix: string, fraction: number}}
+     */
+    function getAutoFormattingFor(code) {
+        const iso = String(code || '').toUpperCase();
+        if (AUTO_FORMAT_CACHE[iso]) return AUTO_FORMAT_CACHE[iso];
+        const meta = CURRENCY_META[iso] || {};
+        const locale = meta.locale || navigator.language || 'en-US';
+        const affixes = meta.prefix !== undefined || meta.suffix !== undefined
+            ? {prefix: meta.prefix || '', suffix: meta.suffix || ''}
+            : deriveCurrencyAffixes(locale, iso);
+        const fraction = meta.fraction !== undefined ? meta.fraction : getCurrencyFraction(iso);
+        return (AUTO_FORMAT_CACHE[iso] = Object.assign({locale, fraction}, affixes));
+    }
 
-        span.innerText = `(≈ ${formatted})`;
-        span.classList.add('apc-tag');
+    /** Prefix/suffix actually used for a currency (the primary's suffix can be overridden in the panel). */
+    function getCurrencyAffixes(code) {
+        const auto = getAutoFormattingFor(code);
+        const override = SETTINGS?.overrideFormatting && code === SETTINGS?.targetCurrency && SETTINGS?.targetSuffix;
+        return override ? {prefix: '', suffix: SETTINGS.targetSuffix} : {prefix: auto.prefix, suffix: auto.suffix};
+    }
 
-        return span;
+    /** Readable "before/after" description of a currency's automatic symbol, for the panel. */
+    function describeAutoSymbol(auto) {
+        const esc = (t) => t.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+        return auto.prefix ? `prefix <b>${esc(auto.prefix)}</b>` : `suffix <b>${esc(auto.suffix)}</b>`;
     }
 
-    ////////////////////////////////////////////////////////////////////////////
-    // 6. Parsing Logic
-    ////////////////////////////////////////////////////////////////////////////
+    /** Localized currency name ("Thai Baht"), or the code when `Intl.DisplayNames` can't name it. */
+    function getCurrencyName(iso) {
+        try {
+            const name = new Intl.DisplayNames([navigator.language || 'en', 'en'], {type: 'currency'}).of(iso);
+            return name && name !== iso ? name : iso;
+        } catch (_e) {
+            return iso;
+        }
+    }
 
     /**
-     * Parses a price-like string and returns a floating value.
-     * Handles common punctuation variants (e.g., "1.234,56" vs "1,234.56").
-     * @param {string} str
-     * @returns {number|null}
+     * Every currency we can offer: the current rate table, the override
+     * list and the marketplaces' currencies, sorted by code.
      */
-    function parseStringValue(str) {
-        if (!str || !NUMBER_TEST_REGEX.test(str)) return null;
+    function getKnownCurrencies() {
+        const codes = Object.keys(CURRENCY_META)
+            .concat(HOST_CURRENCIES.map(([, iso]) => iso))
+            .concat(Object.keys((RATE_INFO && RATE_INFO.rates) || {}))
+            .filter(code => /^[A-Z]{3}$/.test(code));
+        return codes.filter((c, i) => codes.indexOf(c) === i).sort();
+    }
 
-        let clean = str.replace(CLEAN_REGEX, '');
-        const lastDot = clean.lastIndexOf('.');
-        const lastComma = clean.lastIndexOf(',');
+    /**
+     * Amazon marketplaces (anchored at the end of the host), their default currency
+     * and the locale they format numbers in.
+     */
+    const HOST_CURRENCIES = [
+        [/amazon\.de$/, 'EUR', 'de-DE'],
+        [/amazon\.fr$/, 'EUR', 'fr-FR'],
+        [/amazon\.it$/, 'EUR', 'it-IT'],
+        [/amazon\.es$/, 'EUR', 'es-ES'],
+        [/amazon\.nl$/, 'EUR', 'nl-NL'],
+        [/amazon\.com\.be$/, 'EUR', 'fr-BE'],
+        [/amazon\.ie$/, 'EUR', 'en-IE'],
+        [/amazon\.se$/, 'SEK', 'sv-SE'],
+        [/amazon\.pl$/, 'PLN', 'pl-PL'],
+        [/amazon\.co\.uk$/, 'GBP', 'en-GB'],
+        [/amazon\.com\.au$/, 'AUD', 'en-AU'],
+        [/amazon\.ca$/, 'CAD', 'en-CA'],
+        [/amazon\.co\.jp$/, 'JPY', 'ja-JP'],
+        [/amazon\.com\.mx$/, 'MXN', 'es-MX'],
+        [/amazon\.com\.tr$/, 'TRY', 'tr-TR'],
+        [/amazon\.ae$/, 'AED', 'en-AE'],
+        [/amazon\.sa$/, 'SAR', 'en-SA'],
+        [/amazon\.in$/, 'INR', 'en-IN'],
+        [/amazon\.com\.br$/, 'BRL', 'pt-BR'],
+        [/amazon\.sg$/, 'SGD', 'en-SG'],
+        [/amazon\.eg$/, 'EGP', 'en-EG'],
+        [/amazon\.com$/, 'USD', 'en-US'],
+    ];
+
+    /**
+     * Currency symbols seen in Amazon prices, most specific first. Ambiguous
+     * symbols list a family; the page currency picks within it when possible.
+     */
+    const CURRENCY_SYMBOLS = [
+        [/R\$/, ['BRL']],
+        [/S\$/, ['SGD']],
+        [/A\$|AU\$/, ['AUD']],
+        [/C\$|CA\$/, ['CAD']],
+        [/MX\$/, ['MXN']],
+        [/US\$/, ['USD']],
+        [/E£|ج\.م\.?/, ['EGP']],
+        [/€/, ['EUR']],
+        [/£/, ['GBP']],
+        [/zł/i, ['PLN']],
+        [/₺|\bTL\b/, ['TRY']],
+        [/₹|\bRs\.?(?=\s?\d)/, ['INR']],
+        [/[¥￥]|円/, ['JPY']],
+        [/د\.إ|\bDhs?\b/, ['AED']],
+        [/ر\.س|ريال|\bSR\b/, ['SAR']],
+        [/\bkr\b|\bkr\./i, ['SEK', 'NOK', 'DKK']],
+        [/\$/, ['USD', 'AUD', 'CAD', 'MXN', 'SGD']],
+    ];
 
-        if (lastDot > -1 && lastComma > -1) {
-            if (lastDot > lastComma) clean = clean.replace(COMMA_GLOBAL_REGEX, '');
-            else clean = clean.replace(DOT_GLOBAL_REGEX, '').replace(',', '.');
-        } else if (lastComma > -1) {
-            clean = clean.replace(',', '.');
+    /** Map hostname/TLD to base currency; used when the page gives no better hint. */
+    function detectBaseCurrencyFromHost(host) {
+        host = host || location.hostname;
+        for (const [re, iso] of HOST_CURRENCIES) {
+            if (re.test(host)) return iso;
         }
+        return 'USD'; // safe default
+    }
+
+    /** Number-formatting locale of a marketplace host, or null for unknown hosts. */
+    function getMarketplaceLocale(host) {
+        host = host || location.hostname;
+        const hit = HOST_CURRENCIES.find(([re]) => re.test(host));
+        return hit ? hit[2] : null;
+    }
 
-        const floatVal = parseFloat(clean);
-        return isNaN(floatVal) ? null : floatVal;
+    /** Customer-chosen display currency from Amazon's `i18n-prefs` cookie, if any. */
+    function detectCurrencyFromCookie() {
+        const m = /(?:^|;\s*)i18n-prefs=([A-Za-z]{3})(?:;|$)/.exec(document.cookie || '');
+        return m ? m[1].toUpperCase() : null;
     }
 
     /**
-     * Extracts a price value from Amazon's structured price blocks.
-     * Supports standard price layout and accessibility offscreen node.
-     * @param {HTMLElement} element
-     * @returns {number|null}
+     * Page-wide currency: panel override, then the `i18n-prefs` cookie, then the host map.
+     * @param {boolean} [ignoreOverride] Report what auto-detection alone would pick.
+     * @returns {{iso: string, source: 'override'|'cookie'|'host'}}
      */
-    function parsePriceFromComplexElement(element) {
-        const whole = element.querySelector('.a-price-whole');
-        const fraction = element.querySelector('.a-price-fraction');
-        if (whole && fraction) {
-            const w = whole.textContent.trim().replace(/[.,]/g, '');
-            const f = fraction.textContent.trim();
-            return parseFloat(w + '.' + f);
+    function detectPageCurrency(ignoreOverride) {
+        if (!ignoreOverride && SETTINGS && SETTINGS.baseOverride) return {iso: SETTINGS.baseOverride, source: 'override'};
+        const cookie = detectCurrencyFromCookie();
+        if (cookie) return {iso: cookie, source: 'cookie'};
+        return {iso: detectBaseCurrencyFromHost(), source: 'host'};
+    }
+
+    /** Current page base currency (before init: freshly detected). */
+    function getBaseCurrency() {
+        return CURRENT_BASE || detectPageCurrency().iso;
+    }
+
+    /** True for ISO codes we know how to convert. */
+    function isKnownCurrency(iso) {
+        return !!(CURRENCY_META[iso] || HOST_CURRENCIES.some(([, c]) => c === iso) || (RATE_INFO && RATE_INFO.rates && RATE_INFO.rates[iso]));
+    }
+
+    /**
+     * Find the currency of a price string from an ISO code next to the number
+     * ("USD 12.99", "12,99 EUR") or from a currency symbol.
+     * @param {string} text
+     * @param {string} [preferred] Currency to pick when a symbol is ambiguous ("$", "kr").
+     * @returns {string|null}
+     */
+    function detectCurrencyInText(text, preferred) {
+        if (!text) return null;
+        const codeRe = /\b([A-Z]{3})\s?(?=[\d.,])|[\d.,]\s?([A-Z]{3})\b/g;
+        let m;
+        while ((m = codeRe.exec(text))) {
+            const iso = m[1] || m[2];
+            if (isKnownCurrency(iso)) return iso;
         }
-        const offscreen = element.querySelector('.a-offscreen');
-        if (offscreen && offscreen.textContent.length > 0) {
-            return parseStringValue(offscreen.textContent);
+        for (const [re, family] of CURRENCY_SYMBOLS) {
+            if (re.test(text)) return family.includes(preferred) ? preferred : family[0];
         }
-        return parseStringValue(element.textContent);
+        return null;
     }
 
-    ////////////////////////////////////////////////////////////////////////////
-    // 7. Main Conversion Pass & Observer
-    ////////////////////////////////////////////////////////////////////////////
-
-    /** Adds a marker class to avoid double-processing. */
-    function markProcessed(el) {
-        el.classList.add('apc-processed');
+    /** Text content of an element, ignoring hints we rendered inside it. */
+    function textWithoutHints(el) {
+        let out = '';
+        el.childNodes.forEach(n => {
+            if (n.nodeType === 3) out += n.nodeValue;
+            else if (n.nodeType === 1 && !n.classList.contains('apc-tag')) out += textWithoutHints(n);
+        });
+        return out;
     }
 
-    /** Quick processed check. */
-    function isProcessed(el) {
-        return el.classList.contains('apc-processed');
+    /**
+     * Currency of one price element: `.a-price-symbol`, then `.a-offscreen`, then the
+     * element's own text; falls back to the page currency. An override wins outright.
+     * @param {HTMLElement} el
+     * @param {string} [text] Raw price text when it doesn't come from the element (e.g. an attribute).
+     * @param {string} [pageIso] Fallback for elements of another page (e.g. a fetched marketplace);
+     *   the panel override does not apply to those.
+     * @returns {string}
+     */
+    function detectElementCurrency(el, text, pageIso) {
+        let fallback = pageIso;
+        if (!fallback) {
+            const page = detectPageCurrency();
+            if (page.source === 'override') return page.iso;
+            fallback = page.iso;
+        }
+        const candidates = [
+            el.querySelector && el.querySelector('.a-price-symbol')?.textContent,
+            el.querySelector && el.querySelector('.a-offscreen')?.textContent,
+            text,
+            text ? '' : textWithoutHints(el),
+        ];
+        for (const candidate of candidates) {
+            const iso = detectCurrencyInText(candidate, fallback);
+            if (iso) return iso;
+        }
+        return fallback;
     }
 
     /**
-     * Executes a single pass that discovers price-like elements and augments
-     * them with a local-currency hint.
-     * @param {number} rate BASE→TARGET rate
-     */
-    function runConversionPass(rate) {
-        if (!SETTINGS?.enabled) return;
-        // 1) Standard price widgets
-        document.querySelectorAll('.a-price:not(.apc-processed)').forEach(container => {
-            const baseValue = parsePriceFromComplexElement(container);
-            if (baseValue !== null) {
-                const hintEl = createHintElement(baseValue, rate, container);
-
-                if (container.classList.contains('a-text-price')) {
-                    container.appendChild(hintEl);
-                } else {
-                    if (container.parentNode) {
-                        container.parentNode.insertBefore(hintEl, container.nextSibling);
-                    } else {
-                        container.appendChild(hintEl);
-                    }
-                }
-                markProcessed(container);
-            }
+     * Re-express a rates table relative to another currency it contains.
+     * @param {Object<string, number>} table Rates keyed by ISO, relative to any base.
+     * @param {string} baseIso Desired base.
+     * @returns {Object<string, number>|null} Null when the table lacks the base.
+     */
+    function rebaseTable(table, baseIso) {
+        const pivot = table && table[baseIso];
+        if (!pivot || !isFinite(pivot) || pivot <= 0) return null;
+        const out = {};
+        Object.keys(table).forEach(iso => {
+            const v = Number(table[iso]);
+            if (isFinite(v) && v > 0) out[iso] = v / pivot;
         });
+        out[baseIso] = 1;
+        return out;
+    }
 
-        // 2) Delivery price badges
-        document.querySelectorAll('[data-csa-c-delivery-price]:not(.apc-processed)')
-            .forEach(block => {
-                const deliveryPriceStr = block.getAttribute('data-csa-c-delivery-price');
-                if (deliveryPriceStr && deliveryPriceStr.toUpperCase() !== 'FREE') {
-                    const baseValue = parseStringValue(deliveryPriceStr);
-                    if (baseValue !== null) {
-                        const hintEl = createHintElement(baseValue, rate, block);
-                        const textTarget = block.querySelector('.a-text-bold')?.parentNode || block;
-                        textTarget.appendChild(hintEl);
-                    }
-                }
-                markProcessed(block);
-            });
+    /**
+     * Exchange-rate provider adapters. Each builds a request URL for a base
+     * currency and parses the response into a BASE→* table (or null).
+     * The user enables and orders them; they are tried until one answers.
+     */
+    const FX_PROVIDERS = {
+        erapi: {
+            label: 'open.er-api.com',
+            url: (base) => FX_BASE_URL + base,
+            parse: (text) => {
+                const data = JSON.parse(text);
+                return data && data.result !== 'error' && data.rates ? data.rates : null;
+            },
+        },
+        ecb: {
+            label: 'ECB daily reference rates',
+            // EUR-based only; other bases are derived as cross rates.
+            url: () => ECB_DAILY_URL,
+            parse: (text, base) => {
+                const table = {EUR: 1};
+                const re = /currency=['"]([A-Z]{3})['"]\s+rate=['"]([\d.]+)['"]/g;
+                let m;
+                while ((m = re.exec(text))) table[m[1]] = parseFloat(m[2]);
+                return Object.keys(table).length > 1 ? rebaseTable(table, base) : null;
+            },
+        },
+        frankfurter: {
+            label: 'Frankfurter',
+            url: (base) => `${FRANKFURTER_URL}latest?from=${encodeURIComponent(base)}`,
+            parse: (text, base) => {
+                const data = JSON.parse(text);
+                return data && data.rates ? Object.assign({}, data.rates, {[base]: 1}) : null;
+            },
+        },
+        custom: {
+            label: 'Custom URL',
+            // "{base}" in the URL is replaced with the base ISO; without it the
+            // response is assumed to contain the base and is rebased locally.
+            url: (base, s) => (s.customFxUrl ? s.customFxUrl.replace(/\{base\}/g, encodeURIComponent(base)) : ''),
+            parse: (text, base, s) => {
+                const rates = getByPath(JSON.parse(text), s.customFxPath);
+                if (!rates || typeof rates !== 'object') return null;
+                return rebaseTable(Object.assign({[base]: 1}, rates), base);
+            },
+        },
+    };
 
-        // 3) Cart / sidebar totals and unit prices
-        const cartSelectors = ['.sc-price', '.ewc-subtotal-amount', '.ewc-unit-price'];
-        document.querySelectorAll(cartSelectors.join(', ')).forEach(el => {
-            if (isProcessed(el)) return;
-            const targetTextEl = el.querySelector('h2') || el;
-            const baseValue = parseStringValue(targetTextEl.textContent);
-            if (baseValue !== null) {
-                const hintEl = createHintElement(baseValue, rate, targetTextEl);
-                targetTextEl.appendChild(hintEl);
-                markProcessed(el);
-            }
-        });
+    /** Human-readable provider name for the panel. */
+    function getProviderLabel(id) {
+        return FX_PROVIDERS[id] ? FX_PROVIDERS[id].label : (id || 'unknown');
     }
 
-    /** Remove all rendered hints and processed markers (old and new). */
-    function clearRenderedHints() {
-        document.querySelectorAll('.apc-tag, .huf-price-tag').forEach(n => n.remove());
-        document.querySelectorAll('.apc-processed, .huf-processed').forEach(n => n.classList.remove('apc-processed', 'huf-processed'));
+    /**
+     * Walk the enabled providers in order and return the first table that has
+     * every wanted target. If none covers all of them, the most complete one wins.
+     * @param {string} baseIso
+     * @param {Array<string>} targetIsos
+     * @returns {Promise<{rates: Object<string, number>, provider: string}|null>}
+     */
+    async function fetchFromProviders(baseIso, targetIsos) {
+        let best = null;
+        // An empty selection would leave no source at all; use the defaults instead.
+        const order = SETTINGS.fxProviders.length ? SETTINGS.fxProviders : DEFAULTS.fxProviders;
+        for (const id of order) {
+            const provider = FX_PROVIDERS[id];
+            const url = provider && provider.url(baseIso, SETTINGS);
+            if (!url) continue;
+            let rates = null;
+            try {
+                rates = provider.parse(await gmGet(url), baseIso, SETTINGS);
+            } catch (_e) {
+                rates = null;
+            }
+            if (!rates || typeof rates !== 'object') continue;
+            const missing = targetIsos.filter(t => !(rates[t] > 0)).length;
+            if (!missing) return {rates, provider: id};
+            if (!best || missing < best.missing) best = {rates, provider: id, missing};
+        }
+        return best ? {rates: best.rates, provider: best.provider} : null;
     }
 
     /**
-     * Try to inject a small settings cog (icon-only) into the Amazon top nav.
-     * Idempotent; safe to call repeatedly (no duplicates).
+     * Fetch the full BASE→* rates table with per-base caching to minimize requests.
+     * Tries the configured providers in order and stores the whole table keyed by
+     * base ISO, so any number of target currencies can be resolved from a single request.
+     * A cached table that lacks one of the targets is refetched through the chain.
+     * Only one tab fetches a given table; the others wait for it to land in the cache.
+     * When every provider fails, an expired cached table is returned flagged `stale`.
+     * @param {string} baseIso ISO 4217 base currency (e.g., EUR)
+     * @param {Array<string>} [targetIsos] Targets the table should cover.
+     * @returns {Promise<{rates: Object<string, number>, provider: string, ts: number, stale: boolean}|null>}
+     *   Null only when nothing was fetched and nothing was ever cached.
+     */
+    async function getRatesTable(baseIso, targetIsos) {
+        baseIso = String(baseIso || '').toUpperCase();
+        const targets = targetIsos || [];
+        const now = Date.now();
+        const tsKey = KV.lastUpdate + baseIso;
+        const ratesKey = KV.lastRates + baseIso;
+        const providerKey = KV.lastProvider + baseIso;
+        const lastUpdate = GM_getValue(tsKey, 0);
+        const cachedRates = GM_getValue(ratesKey, null);
+        if (cachedRates && (now - lastUpdate) < FX_CACHE_MS && targets.every(t => cachedRates[t] > 0)) {
+            return {rates: cachedRates, provider: GM_getValue(providerKey, 'erapi'), ts: lastUpdate, stale: false};
+        }
+
+        // Degraded mode: an old table beats no table; the caller marks hints as stale.
+        const staleTable = () => (cachedRates ? {rates: cachedRates, provider: GM_getValue(providerKey, 'erapi'), ts: lastUpdate, stale: true} : null);
+
+        if (!(await acquireFetchLock(baseIso))) {
+            await waitForFetchLock(baseIso);
+            const sharedTs = GM_getValue(tsKey, 0);
+            const sharedRates = GM_getValue(ratesKey, null);
+            if (sharedRates && sharedTs > lastUpdate && targets.every(t => sharedRates[t] > 0)) {
+                return {rates: sharedRates, provider: GM_getValue(providerKey, 'erapi'), ts: sharedTs, stale: false};
+            }
+            // The other tab failed or fetched too few targets: try once ourselves.
+            if (!(await acquireFetchLock(baseIso))) return staleTable();
+        }
+        let result;
+        try {
+            result = await fetchFromProviders(baseIso, targets);
+            if (result) {
+                // The timestamp goes last: other tabs reload when it changes.
+                GM_setValue(ratesKey, result.rates);
+                GM_setValue(providerKey, result.provider);
+                GM_setValue(tsKey, now);
+            }
+        } finally {
+            releaseFetchLock(baseIso);
+        }
+        if (!result) return staleTable();
+        return {rates: result.rates, provider: result.provider, ts: now, stale: false};
+    }
+
+    /** Resolve after `ms` milliseconds. */
+    function wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Claim the right to fetch the rates table for a base currency. GM storage has
+     * no compare-and-set, so concurrent claims are given time to settle and the
+     * last writer wins. A lock whose holder went away expires after FX_LOCK_MS.
+     * @returns {Promise<boolean>} False while another tab holds the lock.
+     */
+    async function acquireFetchLock(baseIso) {
+        const key = KV.fetchLock + baseIso;
+        const held = GM_getValue(key, null);
+        if (held && held.tab !== TAB_ID && held.until > Date.now()) return false;
+        GM_setValue(key, {tab: TAB_ID, until: Date.now() + FX_LOCK_MS});
+        await wait(FX_LOCK_SETTLE_MS);
+        const owner = GM_getValue(key, null);
+        return !!owner && owner.tab === TAB_ID;
+    }
+
+    /** Drop the fetch lock if this tab still holds it. */
+    function releaseFetchLock(baseIso) {
+        const key = KV.fetchLock + baseIso;
+        const held = GM_getValue(key, null);
+        if (held && held.tab === TAB_ID) GM_deleteValue(key);
+    }
+
+    /** Wait until no other tab holds (an unexpired) fetch lock for the base currency. */
+    async function waitForFetchLock(baseIso) {
+        const key = KV.fetchLock + baseIso;
+        for (;;) {
+            const held = GM_getValue(key, null);
+            if (!held || held.tab === TAB_ID || held.until <= Date.now()) return;
+            await wait(FX_LOCK_POLL_MS);
+        }
+    }
+
+    /**
+     * Pick BASE→TARGET rates for the given targets out of a rates table.
+     * @returns {Object<string, number>} ISO → positive rate, or 0 when unavailable.
+     */
+    function resolveRates(table, baseIso, targets) {
+        const out = {};
+        targets.forEach(t => {
+            if (t === baseIso) {
+                out[t] = 1;
+                return;
+            }
+            const rate = table ? table[t] : 0;
+            out[t] = rate && isFinite(rate) && rate > 0 ? rate : 0;
+        });
+        return out;
+    }
+
+    /**
+     * Resolve rates for every selected target currency and update the globals,
+     * remembering which provider supplied them and when. Stale or missing rates
+     * schedule a background retry with exponential backoff.
+     */
+    async function loadCurrentRates() {
+        const base = getBaseCurrency();
+        const targets = SETTINGS.targetCurrencies;
+        const needed = targets.some(t => t !== base);
+        const info = needed ? await getRatesTable(base, targets) : null;
+        if (needed) watchRateTable(base);
+        RATE_INFO = info ? {provider: info.provider, ts: info.ts, stale: info.stale, rates: info.rates} : null;
+        CURRENT_RATES = resolveRates(info ? info.rates : null, base, targets);
+        CURRENT_RATE = CURRENT_RATES[SETTINGS.targetCurrency] || 0;
+        if (needed && (!info || info.stale)) scheduleRateRetry();
+        else resetRateRetry();
+    }
+
+    /**
+     * Convert between any two currencies present in the current base table
+     * (cross rate via the page's base currency).
+     * @param {Object<string, number>} [rates] BASE→* table to use instead of the current one.
+     * @returns {number|null} Null when either currency is unknown.
+     */
+    function crossConvert(amount, fromIso, toIso, rates) {
+        if (fromIso === toIso) return amount;
+        const base = getBaseCurrency();
+        const table = Object.assign({}, rates || (RATE_INFO ? RATE_INFO.rates : null), {[base]: 1});
+        const from = table[fromIso];
+        const to = table[toIso];
+        return from > 0 && to > 0 ? amount * to / from : null;
+    }
+
+    /**
+     * Re-express BASE→TARGET rates for prices shown in another currency, using
+     * cross rates from the current base table.
+     * @param {string} fromIso Currency the price is shown in.
+     * @param {Object<string, number>} rates Target ISO → BASE→TARGET rate.
+     * @returns {Object<string, number>} Target ISO → FROM→TARGET rate (0 when unknown).
+     */
+    function ratesForCurrency(fromIso, rates) {
+        if (!fromIso || fromIso === getBaseCurrency()) return rates;
+        const out = {};
+        Object.keys(rates).forEach(t => {
+            const r = crossConvert(1, fromIso, t);
+            out[t] = r > 0 ? r : 0;
+        });
+        return out;
+    }
+
+    /** True when at least one target currency has a usable rate. */
+    function hasUsableRates(rates) {
+        return Object.keys(rates || {}).some(iso => rates[iso] > 0);
+    }
+
+    /**
+     * Retry a failed/stale rate refresh later, doubling the delay each time.
+     * On completion the hints are re-rendered with whatever was obtained.
+     */
+    function scheduleRateRetry() {
+        if (RATE_RETRY.timer) return;
+        const delay = Math.min(FX_RETRY_MAX_MS, FX_RETRY_BASE_MS * Math.pow(2, RATE_RETRY.attempt));
+        RATE_RETRY.attempt++;
+        RATE_RETRY.nextAt = Date.now() + delay;
+        RATE_RETRY.timer = setTimeout(async () => {
+            RATE_RETRY.timer = null;
+            await loadCurrentRates();
+            refreshHints();
+        }, delay);
+    }
+
+    /** Forget the backoff after a successful refresh. */
+    function resetRateRetry() {
+        if (RATE_RETRY.timer) clearTimeout(RATE_RETRY.timer);
+        RATE_RETRY.attempt = 0;
+        RATE_RETRY.timer = null;
+        RATE_RETRY.nextAt = 0;
+    }
+
+    /**
+     * Describe what is wrong with the current rates, if anything.
+     * @returns {{level: 'error'|'stale'|'partial', text: string}|null}
+     */
+    function getRateProblem() {
+        const base = getBaseCurrency();
+        const retry = RATE_RETRY.timer ? ` Retrying in ${Math.max(1, Math.round((RATE_RETRY.nextAt - Date.now()) / 1000))} s.` : '';
+        if (!hasUsableRates(CURRENT_RATES)) {
+            return {level: 'error', text: `No exchange rate available for ${base} → ${SETTINGS.targetCurrencies.join(', ')}.${retry}`};
+        }
+        if (RATE_INFO && RATE_INFO.stale) {
+            return {level: 'stale', text: `Using expired rates from ${new Date(RATE_INFO.ts).toLocaleString()}.${retry}`};
+        }
+        const missing = SETTINGS.targetCurrencies.filter(iso => !(CURRENT_RATES[iso] > 0));
+        if (missing.length) return {level: 'partial', text: `No rate for ${missing.join(', ')}; omitted from hints.`};
+        return null;
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // 4. Formatting & Payment Fees
+    ////////////////////////////////////////////////////////////////////////////
+
+    /** The selected payment profile (falls back to the first one). */
+    function getActivePaymentProfile() {
+        const list = SETTINGS.paymentProfiles;
+        return list.find(p => p.id === SETTINGS.activePayment) || list[0];
+    }
+
+    /**
+     * Split a mid-market amount into what the active payment method charges:
+     * percentage markup, weekend surcharge and a fixed per-transaction fee.
+     * @param {number} mid Amount in `code` at the mid-market rate.
+     * @param {string} code Target ISO.
+     * @param {Object<string, number>} rates Target ISO → BASE→TARGET rate (for converting the fixed fee).
+     * @param {Date} [when] Charge date; defaults to now.
+     * @param {boolean} [perUnit] Unit prices ("/ 100 g") get the percentages but no per-transaction fee.
+     * @returns {{mid: number, markup: number, weekend: number, fixed: number, total: number}}
+     */
+    function applyPaymentFees(mid, code, rates, when, perUnit) {
+        const p = getActivePaymentProfile();
+        const day = (when || new Date()).getDay();
+        const markup = mid * (p.markupPct / 100);
+        const weekend = p.weekendDays.includes(day) ? mid * (p.weekendPct / 100) : 0;
+        // The fixed fee is defined in the primary currency; cross-convert it for the others.
+        const primary = SETTINGS.targetCurrency;
+        let fixed = perUnit ? 0 : p.fixedFee;
+        if (fixed && code !== primary) {
+            fixed = rates[primary] > 0 && rates[code] > 0 ? fixed * rates[code] / rates[primary] : 0;
+        }
+        return {mid, markup, weekend, fixed, total: mid + markup + weekend + fixed};
+    }
+
+    /** True when the active payment profile adds anything on top of mid-market. */
+    function hasPaymentFees() {
+        const p = getActivePaymentProfile();
+        return !!(p.markupPct || p.fixedFee || (p.weekendPct && p.weekendDays.length));
+    }
+
+    /**
+     * One tooltip line explaining a fee split, e.g.
+     * "HUF: 5 196 Ft mid-market + 104 Ft markup (2%) + 100 Ft fee = 5 400 Ft".
+     */
+    function describeFeeSplit(split, code) {
+        const p = getActivePaymentProfile();
+        const parts = [`${formatCurrency(split.mid, code)} mid-market`];
+        if (split.markup) parts.push(`${formatCurrency(split.markup, code)} markup (${p.markupPct}%)`);
+        if (split.weekend) parts.push(`${formatCurrency(split.weekend, code)} weekend (${p.weekendPct}%)`);
+        if (split.fixed) parts.push(`${formatCurrency(split.fixed, code)} fixed fee`);
+        return `${code}: ${parts.join(' + ')} = ${formatCurrency(split.total, code)}`;
+    }
+
+    /**
+     * Formats a numeric value into a target-currency string.
+     * Uses the per-currency Intl.NumberFormat with auto/override locale and adds the
+     * currency's prefix or suffix. The suffix override only applies to the primary (first) currency.
+     * @param {number} value
+     * @param {string} [code] Target ISO; defaults to the primary target currency.
+     * @param {boolean} [compact] Abbreviated number ("12,3 E Ft"), for hints.
+     * @returns {string}
+     */
+    function formatCurrency(value, code, compact) {
+        code = code || SETTINGS?.targetCurrency;
+        const {prefix, suffix} = getCurrencyAffixes(code);
+        const key = compact ? code + ':compact' : code;
+        const formatter = FORMATTERS[key] || (FORMATTERS[key] = buildFormatter(SETTINGS, code, compact));
+        return prefix + formatter.format(value) + suffix;
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // 5. Visual Element Creation
+    ////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Details behind each rendered hint, read by the shared tooltip (and by
+     * replace mode for the converted totals and visible text).
+     * @type {WeakMap<HTMLElement, {parsed: Object, iso: string, rule: string, rates: Object, tips: string[],
+     *   rateDate: string|null, converted: Array<{code: string, total: number}>, text: string}>}
+     */
+    const HINT_INFO = new WeakMap();
+
+    /** Human-readable age of a timestamp ("5 min", "3 h", "2 d"). */
+    function formatAge(ts) {
+        const mins = Math.max(0, Math.round((Date.now() - ts) / 60000));
+        if (mins < 60) return `${mins} min`;
+        if (mins < 48 * 60) return `${Math.round(mins / 60)} h`;
+        return `${Math.round(mins / 1440)} d`;
+    }
+
+    /** Tooltip lines for a hint: parsed amount, rates with age and provider, matched rule. */
+    function describeHint(info) {
+        const {parsed, iso, rule, rates, tips, rateDate} = info;
+        const amount = (v) => `${v} ${iso}`;
+        const lines = [];
+        if (parsed.kind === 'range') lines.push(`Parsed: ${amount(parsed.min)} – ${amount(parsed.max)}`);
+        else if (parsed.kind === 'unit') lines.push(`Parsed: ${amount(parsed.value)} / ${parsed.unit}`);
+        else lines.push(`Parsed: ${amount(parsed.value)}`);
+        SETTINGS.targetCurrencies.filter(code => rates[code] > 0).forEach(code => {
+            lines.push(`Rate: 1 ${iso} = ${+rates[code].toPrecision(6)} ${code}`);
+        });
+        if (rateDate) {
+            lines.push(`Historical rate of ${rateDate} (${getProviderLabel('frankfurter')}, ECB reference)`);
+        } else if (RATE_INFO) {
+            lines.push(`Fetched: ${new Date(RATE_INFO.ts).toLocaleString()} (${formatAge(RATE_INFO.ts)} ago)`);
+            lines.push(`Provider: ${getProviderLabel(RATE_INFO.provider)}`);
+        } else {
+            lines.push('Rate: same currency, no conversion needed');
+        }
+        lines.push(`Matched rule: ${rule}`);
+        return lines.concat(tips);
+    }
+
+    /** The single fixed-position tooltip element shared by every hint (created lazily). */
+    function getHintTooltip() {
+        let tip = document.getElementById('apc-tooltip');
+        if (tip) return tip;
+        tip = document.createElement('div');
+        tip.id = 'apc-tooltip';
+        tip.setAttribute('role', 'tooltip');
+        tip.style.cssText = 'position:fixed;z-index:2147483647;display:none;max-width:340px;padding:6px 8px;border-radius:6px;background:#232f3e;color:#fff;font:12px/1.4 Arial,sans-serif;white-space:pre-line;pointer-events:none;box-shadow:0 2px 8px rgba(0,0,0,0.3)';
+        document.body.appendChild(tip);
+        return tip;
+    }
+
+    /** Show the tooltip next to a hint, flipping above it near the bottom edge. */
+    function showHintTooltip(hint) {
+        const info = HINT_INFO.get(hint);
+        if (!info) return;
+        const tip = getHintTooltip();
+        tip.textContent = describeHint(info).join('\n');
+        tip.style.display = 'block';
+        hint.setAttribute('aria-describedby', 'apc-tooltip');
+        const r = hint.getBoundingClientRect();
+        const w = tip.offsetWidth, h = tip.offsetHeight;
+        const top = r.bottom + 6 + h > window.innerHeight ? r.top - 6 - h : r.bottom + 6;
+        tip.style.top = Math.max(4, top) + 'px';
+        tip.style.left = Math.max(4, Math.min(r.left, window.innerWidth - w - 4)) + 'px';
+    }
+
+    function hideHintTooltip() {
+        const tip = document.getElementById('apc-tooltip');
+        if (tip) tip.style.display = 'none';
+        document.querySelectorAll('[aria-describedby="apc-tooltip"]').forEach(n => n.removeAttribute('aria-describedby'));
+    }
+
+    /**
+     * Delegated hover/focus handling for all hints, installed once. Hints are
+     * focusable (tabindex 0) so the tooltip also works from the keyboard; Escape hides it.
+     */
+    function installHintTooltips() {
+        const hintOf = (e) => e.target && e.target.closest ? e.target.closest('.apc-tag') : null;
+        const show = (e) => {
+            const hint = hintOf(e);
+            if (hint && HINT_INFO.has(hint)) showHintTooltip(hint);
+        };
+        const hide = (e) => {
+            const hint = hintOf(e);
+            if (hint && !hint.contains(e.relatedTarget)) hideHintTooltip();
+        };
+        document.addEventListener('mouseover', show);
+        document.addEventListener('mouseout', hide);
+        document.addEventListener('focusin', show);
+        document.addEventListener('focusout', hide);
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') hideHintTooltip();
+        });
+        window.addEventListener('scroll', hideHintTooltip, {passive: true});
+    }
+
+    /** Where a hint sits relative to the price. */
+    const HINT_PLACEMENTS = ['inline', 'badge', 'below'];
+    // Hint size in % of Amazon's own size: the panel slider, normalisation and import share it.
+    const HINT_SCALE_MIN = 50;
+    const HINT_SCALE_MAX = 150;
+
+    /** How a value unit relates a price to its amount: 'per' = price ÷ amount, 'percent' = share in %. */
+    const VALUE_UNIT_MODES = ['per', 'percent'];
+
+    /**
+     * Enabled value units for converted amounts ("3.5 h", "12% of monthly
+     * budget"). Each unit reads the amount in its own currency, cross-converted
+     * from the first target when it isn't one of them.
+     * @param {Array<{code: string, split: Object, max?: Object}>} splits Converted totals per target (fees included).
+     * @param {Array<Object>} units Value unit definitions.
+     * @returns {string[]}
+     */
+    function formatValueUnits(splits, units) {
+        if (!splits.length) return [];
+        return (units || []).filter(u => u.enabled && u.amount > 0).map(u => {
+            const own = splits.find(x => x.code === u.currency);
+            const pick = own || splits[0];
+            const inUnit = (total) => (own ? total : crossConvert(total, pick.code, u.currency));
+            const low = inUnit(pick.split.total);
+            const high = pick.max ? inUnit(pick.max.total) : null;
+            if (low === null || (pick.max && high === null)) return null;
+            const factor = u.mode === 'percent' ? 100 : 1;
+            const number = new Intl.NumberFormat(navigator.language || undefined, {maximumFractionDigits: u.decimals});
+            const fmt = (v) => number.format(v / u.amount * factor);
+            const amount = high === null ? fmt(low) : `${fmt(low)}–${fmt(high)}`;
+            return u.mode === 'percent' ? `${amount}% ${u.label}` : `${amount} ${u.label}`;
+        }).filter(Boolean);
+    }
+
+    /** Placeholders available in the hint template, with a short description for the panel. */
+    const HINT_PLACEHOLDERS = {
+        value: 'converted amount(s)',
+        base: 'original price',
+        rate: 'rate of the first target',
+        age: 'age of the rates',
+        code: 'first target currency',
+    };
+
+    /**
+     * Values for the hint template placeholders.
+     * @param {Object} parsed Parsed price (single, range or unit).
+     * @param {Object<string, number>} rates Target ISO → FROM→TARGET rate.
+     * @param {{iso?: string, rateDate?: string}} source
+     * @param {string} value Converted amount(s), with the stale/historical marker.
+     * @returns {Object<string, string>}
+     */
+    function getHintFields(parsed, rates, source, value) {
+        const iso = source.iso || getBaseCurrency();
+        const original = (v) => `${v} ${iso}`;
+        const code = SETTINGS.targetCurrencies.find(c => rates[c] > 0) || SETTINGS.targetCurrency;
+        let base = original(parsed.value);
+        if (parsed.kind === 'range') base = `${original(parsed.min)} – ${original(parsed.max)}`;
+        if (parsed.kind === 'unit') base += ` / ${parsed.unit}`;
+        let age = '';
+        if (source.rateDate) age = source.rateDate;
+        else if (RATE_INFO && RATE_INFO.ts) age = formatAge(RATE_INFO.ts);
+        return {
+            value, base, code, age,
+            rate: rates[code] > 0 ? `1 ${iso} = ${Number(rates[code].toPrecision(5))} ${code}` : '',
+        };
+    }
+
+    /** Fill `{name}` placeholders; unknown ones are left as typed. */
+    function fillHintTemplate(template, fields) {
+        return String(template || DEFAULTS.hintTemplate).replace(/\{(\w+)\}/g, (m, name) => (name in fields ? fields[name] : m));
+    }
+
+    /**
+     * Apply the configured hint look: colour, opacity, size and placement.
+     * @param {HTMLElement} span
+     * @param {{hintPlacement: string, hintColor: string, hintOpacity: number, hintScale: number}} style
+     * @param {string} fontSize Amazon's size for this price ('15px', '0.9em').
+     * @param {boolean} large The price is a large one (wider gap).
+     */
+    function styleHint(span, style, fontSize, large) {
+        const scale = style.hintScale / 100;
+        const size = /^([\d.]+)(px|em)$/.exec(fontSize);
+        span.style.color = style.hintColor || 'inherit';
+        span.style.opacity = style.hintOpacity < 1 ? String(style.hintOpacity) : '';
+        span.style.fontFamily = 'inherit';
+        span.style.fontWeight = '400';
+        span.style.whiteSpace = 'nowrap';
+        span.style.fontSize = size ? `${Number((parseFloat(size[1]) * scale).toFixed(2))}${size[2]}` : fontSize;
+        span.style.display = 'inline';
+        span.style.marginLeft = large ? '8px' : '5px';
+        if (style.hintPlacement === 'badge') {
+            span.style.display = 'inline-block';
+            span.style.padding = '0 6px';
+            span.style.borderRadius = '10px';
+            span.style.lineHeight = '1.5';
+            span.style.background = 'rgba(127, 127, 127, 0.15)';
+            span.style.border = '1px solid rgba(127, 127, 127, 0.4)';
+        } else if (style.hintPlacement === 'below') {
+            span.style.display = 'block';
+            span.style.marginLeft = '0';
+        }
+    }
+
+    /**
+     * Creates a small inline tag like "(≈ 12 345 Ft · 142 zł)" next to an Amazon price,
+     * with one value per selected target currency, in the configured order.
+     * Ranges render as "(≈ 4 000 Ft – 9 000 Ft)", unit prices keep their unit
+     * ("(≈ 1 280 Ft / 100 g)"). The text comes from the hint template.
+     * Values include the active payment profile's fees; the tooltip shows the split.
+     * Matches the price's font size (scaled by the hint style) for a cohesive look.
+     *
+     * @param {number|{kind: string, value?: number, min?: number, max?: number, unit?: string}} price
+     *   Plain amount or a structured result from parsePrice().
+     * @param {Object<string, number>} rates Element currency → target ISO rate.
+     * @param {HTMLElement} contextElement Price element, used to match its font size.
+     * @param {{iso?: string, rule?: string, when?: Date, rateDate?: string}} [source] Element currency, the
+     *   selector rule that matched, and for historical conversions the charge date and the rates' date.
+     * @param {Object} [style] Template and styling settings; the panel preview passes unsaved ones.
+     * @returns {HTMLSpanElement}
+     */
+    function createHintElement(price, rates, contextElement, source = {}, style = SETTINGS) {
+        const parsed = typeof price === 'number' ? {kind: 'single', value: price} : price;
+        const perUnit = parsed.kind === 'unit';
+        // Currencies without a usable rate are left out rather than shown as "0".
+        const splits = SETTINGS.targetCurrencies
+            .filter(code => rates[code] > 0)
+            .map(code => {
+                const convert = (v) => applyPaymentFees(v * rates[code], code, rates, source.when, perUnit);
+                if (parsed.kind === 'range') return {code, split: convert(parsed.min), max: convert(parsed.max)};
+                return {code, split: convert(parsed.value)};
+            });
+        const money = (v, code) => formatCurrency(v, code, style.hintCompact);
+        const formatted = splits.map(({code, split, max}) => {
+            if (max) return `${money(split.total, code)} – ${money(max.total, code)}`;
+            if (perUnit) return `${money(split.total, code)} / ${parsed.unit}`;
+            return money(split.total, code);
+        }).concat(perUnit ? [] : formatValueUnits(splits, style.valueUnits)).join(' · ');
+        // Historical hints carry their own rate date and are never stale.
+        const stale = !source.rateDate && !!(RATE_INFO && RATE_INFO.stale);
+        const tips = [];
+        if (hasPaymentFees()) {
+            tips.push(`Payment method: ${getActivePaymentProfile().name}`);
+            splits.forEach(({code, split}) => tips.push(describeFeeSplit(split, code)));
+        }
+        const span = document.createElement('span');
+
+        const sizeMap = {
+            'xl': '21px',
+            'l': '17px',
+            'm': '15px',
+            's': '13px',
+            'mini': '11px'
+        };
+
+        let sizeKey = contextElement.getAttribute('data-a-size');
+
+        if (!sizeKey) {
+            if (contextElement.classList.contains('a-size-xl')) sizeKey = 'xl';
+            else if (contextElement.classList.contains('a-size-large')) sizeKey = 'l';
+            else if (contextElement.classList.contains('a-size-medium')) sizeKey = 'm';
+            else if (contextElement.classList.contains('a-size-small')) sizeKey = 's';
+            else if (contextElement.classList.contains('a-size-mini')) sizeKey = 'mini';
+        }
+
+        if (contextElement.closest('#corePriceDisplay_desktop_feature_div')) sizeKey = 'xl';
+
+        let fontSize = sizeMap[sizeKey] || '0.9em';
+
+        if (contextElement.classList.contains('a-text-price')) {
+            fontSize = '12px';
+        }
+
+        styleHint(span, style, fontSize, sizeKey === 'xl' || sizeKey === 'l');
+
+        const value = stale ? `${formatted} ⏱` : (source.rateDate ? `${formatted}, ${source.rateDate} rate` : formatted);
+        span.innerText = fillHintTemplate(style.hintTemplate, getHintFields(parsed, rates, source, value));
+        span.classList.add('apc-tag');
+        if (stale) {
+            span.classList.add('apc-stale');
+            span.style.opacity = String(0.7 * style.hintOpacity);
+            tips.push(`Stale rate from ${new Date(RATE_INFO.ts).toLocaleString()} (refresh failed)`);
+        }
+        span.tabIndex = 0;
+        HINT_INFO.set(span, {
+            parsed, rates, tips,
+            iso: source.iso || CURRENT_BASE,
+            rule: source.rule || 'unknown',
+            rateDate: source.rateDate || null,
+            // Per-target totals (fees included) and the visible text, for replace mode.
+            converted: splits.map(({code, split}) => ({code, total: split.total})),
+            text: span.innerText,
+        });
+
+        return span;
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // 6. Parsing Logic
+    ////////////////////////////////////////////////////////////////////////////
+
+    /** Cache of separator conventions per locale+currency. */
+    const CONVENTIONS_CACHE = {};
+
+    /**
+     * Decimal/group separators and minor-unit digits used to read prices.
+     * Amazon formats numbers in the marketplace's locale even when it shows a
+     * customer-chosen currency, so a known host wins over the currency's own locale.
+     * @param {string} iso Currency of the price.
+     * @param {string} [host] Marketplace host; defaults to the current page.
+     * @returns {{decimal: string, group: string, fraction: number}}
+     */
+    function getNumberConventions(iso, host) {
+        const locale = getMarketplaceLocale(host) || getAutoFormattingFor(iso).locale;
+        const key = locale + '|' + iso;
+        if (CONVENTIONS_CACHE[key]) return CONVENTIONS_CACHE[key];
+        let decimal = '.';
+        let group = ',';
+        try {
+            new Intl.NumberFormat(locale).formatToParts(12345.6).forEach(part => {
+                if (part.type === 'decimal') decimal = part.value;
+                if (part.type === 'group') group = part.value;
+            });
+        } catch (_e) {
+            // Unknown locale: keep the defaults.
+        }
+        return (CONVENTIONS_CACHE[key] = {decimal, group, fraction: getAutoFormattingFor(iso).fraction});
+    }
+
+    /**
+     * Read one number token ("1.234,56", "1,234", "1 234,5", "12.99") using the
+     * given conventions. Ambiguous single separators are resolved by the digits
+     * after them: a group separator is always followed by exactly three digits,
+     * so three digits read as a group unless the currency has three minor digits.
+     * @param {string} token
+     * @param {{decimal: string, group: string, fraction: number}} conv
+     * @returns {number|null}
+     */
+    function parseNumberToken(token, conv) {
+        const t = token.replace(GROUP_ONLY_REGEX, '');
+        const seps = t.match(/[.,]/g) || [];
+        let decimal = null;
+        if (seps.length) {
+            const last = t.search(/[.,][^.,]*$/);
+            const c = t[last];
+            const tail = t.length - last - 1;
+            // A lone mark before three digits reads as a group separator only
+            // after 1–3 leading digits other than a bare "0" ("0,234" is a fraction).
+            const lead = t.slice(0, last).replace(/\D/g, '');
+            const grouped = tail === 3 && /^[1-9]\d{0,2}$/.test(lead);
+            if (seps.includes('.') && seps.includes(',')) {
+                decimal = c; // both present: the last one is always the decimal mark
+            } else if (seps.length > 1) {
+                decimal = null; // repeated single kind: group separators ("1.234.567")
+            } else if (c === conv.decimal) {
+                decimal = (grouped && tail > conv.fraction) ? null : c;
+            } else {
+                // The locale's group mark, or a foreign mark: group only before three digits.
+                decimal = grouped ? null : c;
+            }
+        }
+        let clean = '';
+        for (const ch of t) {
+            if (ch === decimal) clean += '.';
+            else if (ch !== '.' && ch !== ',') clean += ch;
+        }
+        // Only the last separator can be the decimal mark.
+        if (decimal) clean = clean.replace(/\.(?=.*\.)/g, '');
+        const value = parseFloat(clean);
+        return isNaN(value) ? null : value;
+    }
+
+    /**
+     * The number token that is the price in a string with several numbers
+     * ("Subtotal (2 items): $24.99", "2 for $10"): the one with a currency
+     * symbol or code right before it, else right after it, else the first one.
+     * @param {string} text
+     * @returns {string|null}
+     */
+    function pickPriceToken(text) {
+        const tokens = Array.from(text.matchAll(NUMBER_TOKENS_REGEX));
+        if (tokens.length < 2) return tokens.length ? tokens[0][0] : null;
+        const spans = tokens.map((m, i) => {
+            const prevEnd = i ? tokens[i - 1].index + tokens[i - 1][0].length : 0;
+            const nextStart = i + 1 < tokens.length ? tokens[i + 1].index : text.length;
+            const end = m.index + m[0].length;
+            return {
+                token: m[0],
+                before: (/\S+\s?$/.exec(text.slice(prevEnd, m.index)) || [''])[0],
+                after: (/^\s?\S+/.exec(text.slice(end, nextStart)) || [''])[0],
+            };
+        });
+        const hit = spans.find(s => detectCurrencyInText(s.before + s.token))
+            || spans.find(s => detectCurrencyInText(s.token + s.after));
+        return (hit || spans[0]).token;
+    }
+
+    /**
+     * Parse a price string into a structured result, following the number
+     * conventions of the given currency/marketplace.
+     *  - single: "1.234,56 €" → {kind: 'single', value: 1234.56}
+     *  - range:  "€10.99 – €24.99" → {kind: 'range', min: 10.99, max: 24.99}
+     *  - unit:   "€3.20 / 100 g" → {kind: 'unit', value: 3.2, unit: '100 g'}
+     * @param {string} str
+     * @param {string} [iso] Currency of the price; defaults to the page base.
+     * @param {string} [host] Marketplace host; defaults to the current page.
+     * @returns {{kind: 'single', value: number}|{kind: 'range', min: number, max: number}|{kind: 'unit', value: number, unit: string}|null}
+     */
+    function parsePrice(str, iso, host) {
+        if (!str || !NUMBER_TEST_REGEX.test(str)) return null;
+        const conv = getNumberConventions(iso || getBaseCurrency(), host);
+        const readNumber = (part) => {
+            const token = pickPriceToken(part);
+            return token ? parseNumberToken(token.trim(), conv) : null;
+        };
+        const text = str.replace(/\s+/g, ' ').trim();
+
+        const unit = UNIT_REGEX.exec(text);
+        if (unit && unit[2] && /[^\d\s]/.test(unit[2])) {
+            const value = readNumber(unit[1]);
+            if (value !== null) return {kind: 'unit', value, unit: unit[2].trim()};
+        }
+        const sides = text.split(RANGE_SPLIT_REGEX);
+        if (sides.length === 2 && NUMBER_TEST_REGEX.test(sides[0]) && NUMBER_TEST_REGEX.test(sides[1])) {
+            const min = readNumber(sides[0]);
+            const max = readNumber(sides[1]);
+            if (min !== null && max !== null) return {kind: 'range', min: Math.min(min, max), max: Math.max(min, max)};
+        }
+        const value = readNumber(text);
+        return value === null ? null : {kind: 'single', value};
+    }
+
+    /**
+     * Parses a price-like string and returns a single floating value
+     * (the lower bound for ranges, the amount for unit prices).
+     * @param {string} str
+     * @param {string} [iso] Currency of the price; defaults to the page base.
+     * @returns {number|null}
+     */
+    function parseStringValue(str, iso) {
+        const parsed = parsePrice(str, iso);
+        if (!parsed) return null;
+        return parsed.kind === 'range' ? parsed.min : parsed.value;
+    }
+
+    /**
+     * Extracts a price value from Amazon's structured price blocks.
+     * Supports standard price layout and accessibility offscreen node.
+     * @param {HTMLElement} element
+     * @param {string} [iso] Currency of the price; defaults to the page base.
+     * @param {string} [host] Marketplace host (for pages fetched from other sites).
+     * @returns {number|null}
+     */
+    function parsePriceFromComplexElement(element, iso, host) {
+        const whole = element.querySelector('.a-price-whole');
+        const fraction = element.querySelector('.a-price-fraction');
+        if (whole && fraction) {
+            // Whole part carries group separators (".", ",", narrow spaces) and the decimal span.
+            const w = whole.textContent.replace(/\D/g, '');
+            const f = fraction.textContent.replace(/\D/g, '');
+            return parseFloat(w + '.' + f);
+        }
+        const offscreen = element.querySelector('.a-offscreen');
+        const text = offscreen && offscreen.textContent.length > 0 ? offscreen.textContent : textWithoutHints(element);
+        const parsed = parsePrice(text, iso, host);
+        if (!parsed) return null;
+        return parsed.kind === 'range' ? parsed.min : parsed.value;
+    }
+
+    /**
+     * Unit suffix written right after a price widget, e.g. the "/100 g)" in
+     * "(€3.20/100 g)". Our own hints in between are skipped.
+     * @returns {string|null}
+     */
+    function findUnitSuffix(container) {
+        let node = container.nextSibling;
+        while (node && node.nodeType === 1 && node.classList.contains('apc-tag')) node = node.nextSibling;
+        const text = node ? (node.nodeType === 3 ? node.nodeValue : node.textContent) : '';
+        const m = /^\s*(?:\/|\bper\b|\bpro\b)\s*([^)]+?)\s*(?:\)|$)/i.exec(text || '');
+        return m ? m[1] : null;
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // 7. Main Conversion Pass & Observer
+    ////////////////////////////////////////////////////////////////////////////
+
+    /** Adds a marker class to avoid double-processing. */
+    function markProcessed(el) {
+        el.classList.add('apc-processed');
+    }
+
+    /** Quick processed check. */
+    function isProcessed(el) {
+        return el.classList.contains('apc-processed');
+    }
+
+    /**
+     * Source value each processed element was converted from, and the hint
+     * nodes rendered for it. Lets the observer notice when Amazon rewrites a
+     * price in place (e.g. on a variant switch). `price` keeps the parsed
+     * value for later steps (budget filter, result sorting).
+     * @type {WeakMap<HTMLElement, {read: Function, value: string, hints: HTMLElement[], price?: {parsed: Object, iso: string}}>}
+     */
+    const HINT_SOURCES = new WeakMap();
+
+    /** Processed elements whose text or attributes changed since the last pass. */
+    const DIRTY_SOURCES = new Set();
+
+    /** Remember what an element was converted from. `read` returns its current source value. */
+    function trackHintSource(el, read, hints, price) {
+        HINT_SOURCES.set(el, {read, value: read(), hints, price});
+    }
+
+    /** The parsed price an element is currently converted from, or null when it isn't (or no longer) converted. */
+    function getParsedPrice(el) {
+        const record = el && isProcessed(el) ? HINT_SOURCES.get(el) : null;
+        return record && record.price ? record.price : null;
+    }
+
+    /** Remove an element's hints (putting replaced originals back) and unmark it for reprocessing. */
+    function detachHints(el) {
+        const record = HINT_SOURCES.get(el);
+        if (record) {
+            record.hints.forEach(h => {
+                const holder = h.previousSibling;
+                if (holder && holder.classList && holder.classList.contains('apc-original')) restoreHolder(holder);
+                h.remove();
+            });
+            HINT_SOURCES.delete(el);
+        }
+        el.classList.remove('apc-processed');
+    }
+
+    /**
+     * Note observer records that touch processed elements: text edits inside
+     * them, their own attribute changes, children swapped by the page, or the
+     * elements being removed. Our own markers and hint nodes are ignored.
+     * @returns {boolean} True when something relevant changed.
+     */
+    function noteSourceMutations(mutations) {
+        let relevant = false;
+        const ours = (n) => n.nodeType === 1 && (n.classList.contains('apc-tag') || n.classList.contains('apc-original') || n.id === 'apc-tooltip');
+        mutations.forEach(m => {
+            if (m.type === 'attributes') {
+                if (/^(class|style|tabindex|aria-describedby)$/.test(m.attributeName) || !m.target.classList || !isProcessed(m.target)) return;
+                DIRTY_SOURCES.add(m.target);
+                relevant = true;
+                return;
+            }
+            if (m.type === 'childList') {
+                // Converted prices taken off the page: their hints (e.g. inserted after them) must go too.
+                m.removedNodes.forEach(n => {
+                    if (n.nodeType !== 1 || ours(n)) return;
+                    const gone = Array.from(n.querySelectorAll('.apc-processed'));
+                    if (isProcessed(n)) gone.push(n);
+                    gone.forEach(el => DIRTY_SOURCES.add(el));
+                    if (gone.length) relevant = true;
+                });
+                if (Array.from(m.addedNodes).concat(Array.from(m.removedNodes)).every(ours)) return;
+            }
+            const start = m.target.nodeType === 1 ? m.target : m.target.parentElement;
+            if (!start || start.closest('.apc-tag')) return;
+            let el = start.closest('.apc-processed');
+            while (el) {
+                DIRTY_SOURCES.add(el);
+                relevant = true;
+                el = el.parentElement && el.parentElement.closest('.apc-processed');
+            }
+        });
+        return relevant;
+    }
+
+    /**
+     * Drop hints that no longer match their source: changed values are detached
+     * (and re-converted by the rules that follow), and hints whose source element
+     * was removed from the page go with it.
+     * @returns {Element[]} Detached elements still on the page, to be rescanned.
+     */
+    function revalidateHintSources() {
+        const rescan = [];
+        DIRTY_SOURCES.forEach(el => {
+            const record = HINT_SOURCES.get(el);
+            if (!record || (el.isConnected && record.read() === record.value)) return;
+            detachHints(el);
+            if (el.isConnected) rescan.push(el);
+        });
+        DIRTY_SOURCES.clear();
+        return rescan;
+    }
+
+    /** User rules first (so they can take over an element), then the enabled built-ins. */
+    function getActivePriceRules() {
+        return SETTINGS.customRules.concat(BUILTIN_PRICE_RULES).filter(r => !SETTINGS.disabledRules.includes(r.id));
+    }
+
+    /** Rule selectors the browser rejected; the panel marks their rules as skipped. */
+    const BAD_RULE_SELECTORS = new Set();
+
+    /**
+     * Elements matching `selector` within the given scopes: each scope's
+     * descendants, plus the scope itself or its nearest matching ancestor (a
+     * price whose inner markup arrived later is still found). Deduplicated.
+     * @param {string} selector
+     * @param {Array<Element|Document>} [scopes] Defaults to the whole document.
+     * @returns {Element[]}
+     */
+    function queryScopes(selector, scopes) {
+        if (!scopes) return Array.from(document.querySelectorAll(selector));
+        const found = new Set();
+        scopes.forEach(scope => {
+            if (scope !== document) {
+                const up = scope.closest(selector);
+                if (up) found.add(up);
+            }
+            scope.querySelectorAll(selector).forEach(el => found.add(el));
+        });
+        return Array.from(found);
+    }
+
+    /**
+     * True on a full pass (no scopes) or when a scope matches the selector, contains
+     * a match or sits inside one; page-level widgets skip batches that don't touch them.
+     */
+    function scopesMatch(selector, scopes) {
+        if (!scopes) return true;
+        return scopes.some(scope => (scope !== document && scope.closest(selector)) || scope.querySelector(selector));
+    }
+
+    /** Elements matched by a rule's selector (within `scopes`), or null when the selector is invalid. */
+    function queryRule(rule, scopes) {
+        try {
+            return queryScopes(rule.selector, scopes);
+        } catch (_e) {
+            BAD_RULE_SELECTORS.add(rule.selector); // flagged in the panel's rule list
+            return null;
+        }
+    }
+
+    /**
+     * Read the price of one element with a rule's extractor.
+     * @returns {{parsed: Object, iso: string, textEl: HTMLElement, raw: string}|null}
+     */
+    function extractRuleValue(rule, el) {
+        if (rule.extractor === 'structured') {
+            const iso = detectElementCurrency(el);
+            const value = parsePriceFromComplexElement(el, iso);
+            if (value === null) return null;
+            const unit = findUnitSuffix(el);
+            return {parsed: unit ? {kind: 'unit', value, unit} : {kind: 'single', value}, iso, textEl: el, raw: ''};
+        }
+        if (rule.extractor === 'attribute') {
+            const raw = rule.attribute ? el.getAttribute(rule.attribute) : null;
+            if (!raw) return null;
+            const iso = detectElementCurrency(el, raw);
+            const parsed = parsePrice(raw, iso);
+            return parsed === null ? null : {parsed, iso, textEl: el, raw};
+        }
+        const textEl = (rule.child && el.querySelector(rule.child)) || el;
+        const iso = detectElementCurrency(textEl);
+        const raw = textWithoutHints(textEl);
+        const parsed = parsePrice(raw, iso);
+        return parsed === null ? null : {parsed, iso, textEl, raw};
+    }
+
+    /**
+     * Put a hint where the rule says, or swap the price in place in replace mode.
+     * @returns {HTMLElement} The node now shown (hint or replacement).
+     */
+    function insertRuleHint(rule, el, hit, hintEl, replace) {
+        if (replace) {
+            if (rule.extractor === 'structured') return swapInPlace(el, hintEl, buildPriceMarkup(hintEl, el));
+            if (rule.extractor === 'text') return swapInPlace(hit.textEl, hintEl, buildTextReplacement(hintEl));
+            const node = findTextNodeWith(el, hit.raw);
+            if (node) return swapInPlace(node, hintEl, buildTextReplacement(hintEl, node.nodeValue, hit.raw));
+        }
+        if (rule.insertion === 'after' && el.parentNode) {
+            el.parentNode.insertBefore(hintEl, el.nextSibling);
+        } else if (rule.insertion === 'inside') {
+            ((rule.child && el.querySelector(rule.child)) || el).appendChild(hintEl);
+        } else if (rule.insertion === 'beside') {
+            const child = rule.child && el.querySelector(rule.child);
+            ((child && child.parentNode) || el).appendChild(hintEl);
+        } else {
+            el.appendChild(hintEl);
+        }
+        return hintEl;
+    }
+
+    /** Convert every not-yet-processed element matched by one rule (within `scopes`, if given). */
+    function applyPriceRule(rule, rates, replace, scopes) {
+        const elements = queryRule(rule, scopes);
+        if (!elements) return;
+        elements.forEach(el => {
+            if (isProcessed(el) || el.closest('.apc-tag, #apc-panel') || deferUntilVisible(el)) return;
+            const hit = extractRuleValue(rule, el);
+            if (!hit) return;
+            const elRates = ratesForCurrency(hit.iso, rates);
+            if (!hasUsableRates(elRates)) return;
+            const hintEl = createHintElement(hit.parsed, elRates, hit.textEl, {iso: hit.iso, rule: `${rule.label} (${rule.selector})`});
+            const shown = insertRuleHint(rule, el, hit, hintEl, replace);
+            markProcessed(el);
+            trackHintSource(el, () => (rule.extractor === 'attribute' ? el.getAttribute(rule.attribute) || '' : textWithoutHints(el)), [shown],
+                {parsed: hit.parsed, iso: hit.iso});
+            if (rule.extractor === 'structured' && hit.parsed.kind === 'single' && el === findMainPrice(document)) {
+                recordPriceObservation(hit.parsed.value, hit.iso, elRates);
+            }
+        });
+    }
+
+    /**
+     * Executes a single pass that discovers price-like elements and augments
+     * them with a local-currency hint.
+     * @param {Object<string, number>} rates Target ISO → BASE→TARGET rate
+     */
+    function runConversionPass(rates, scopes) {
+        // Never render "≈ 0" hints: without a usable rate the error state is shown instead.
+        if (!SETTINGS?.enabled || !hasUsableRates(rates)) return;
+        const started = performance.now();
+        // Hints whose price changed in place are dropped here and their elements rescanned below.
+        const detached = revalidateHintSources();
+        if (scopes) scopes = scopes.concat(detached);
+        // Orders: converted at the order date's rate, so they claim their prices before the steps below.
+        if (isOrdersPage()) renderOrderHistory(scopes);
+
+        const replace = isReplaceMode();
+        // 0) Price ranges ("€10.99 – €24.99"): one range hint instead of two singles
+        //    (replace mode swaps both ends individually in step 1)
+        if (!replace) queryScopes('.a-price-range:not(.apc-processed)', scopes).forEach(range => {
+            if (deferUntilVisible(range)) return;
+            const prices = range.querySelectorAll('.a-price');
+            if (prices.length !== 2) return;
+            const iso = detectElementCurrency(prices[0]);
+            const a = parsePriceFromComplexElement(prices[0], iso);
+            const b = parsePriceFromComplexElement(prices[1], iso);
+            const elRates = ratesForCurrency(iso, rates);
+            if (a === null || b === null || !hasUsableRates(elRates)) return;
+            const hintEl = createHintElement({kind: 'range', min: Math.min(a, b), max: Math.max(a, b)}, elRates, prices[0],
+                {iso, rule: '.a-price-range'});
+            range.parentNode.insertBefore(hintEl, range.nextSibling);
+            markProcessed(range);
+            prices.forEach(markProcessed);
+            trackHintSource(range, () => textWithoutHints(range), [hintEl], {parsed: {kind: 'range', min: Math.min(a, b), max: Math.max(a, b)}, iso});
+        });
+
+        // 1-3) Price widgets, delivery badges, cart prices and the user's own rules
+        getActivePriceRules().forEach(rule => applyPriceRule(rule, rates, replace, scopes));
+
+        // 4) Landed-cost "total delivered" lines (opt-in)
+        if (SETTINGS.landedEnabled) renderLandedCosts(rates, scopes);
+
+        // 5) "Compare marketplaces" box on product pages
+        if (SETTINGS.compareEnabled) ensureCompareWidget(scopes);
+
+        // 6) Converted cart summary
+        if (SETTINGS.cartSummary) renderCartSummary(rates, scopes);
+
+        // 7) Budget range on search results (dim/hide/badge)
+        if (SETTINGS.budgetEnabled) applyBudgetFilter(rates, scopes);
+
+        // 8) "Sort by converted total" bar on search pages
+        if (SETTINGS.resultSort) ensureSortBar();
+        else if (SORT_STATE) restoreResultOrder();
+
+        // 9) Amazon Currency Converter vs. paying in the site currency, at checkout
+        if (SETTINGS.checkoutCompare) renderCheckoutComparison(scopes);
+
+        recordPassTiming(performance.now() - started, scopes);
+    }
+
+    /** Re-render every hint with the current settings/rates and refresh status UI. */
+    function refreshHints() {
+        clearRenderedHints();
+        if (SETTINGS.enabled) runConversionPass(CURRENT_RATES);
+        updateCogState();
+        const panel = document.getElementById('apc-panel');
+        if (panel) updateFxStatus(panel);
+    }
+
+    /** Remove all rendered hints and processed markers (old and new). */
+    function clearRenderedHints() {
+        hideHintTooltip();
+        restoreReplacedPrices();
+        clearBudgetMarks();
+        document.querySelectorAll('.apc-tag, .huf-price-tag, #apc-cart-summary, #apc-orders-bar, #apc-sort-bar, #apc-checkout-fx, #apc-compare')
+            .forEach(n => n.closest('#apc-panel') || n.remove()); // the panel's hint preview stays
+        document.querySelectorAll('.apc-processed, .huf-processed, .apc-landed').forEach(n => n.classList.remove('apc-processed', 'huf-processed', 'apc-landed'));
+    }
+
+    /**
+     * Try to inject a small settings cog (icon-only) into the Amazon top nav.
+     * Idempotent; safe to call repeatedly (no duplicates).
      */
     function ensureSettingsCog() {
         if (document.getElementById('apc-cog')) return;
         const navTools = document.querySelector('#nav-tools');
         if (!navTools) return; // retry later via observer
 
-        const wrap = document.createElement('div');
-        wrap.className = 'nav-div';
-        const btn = document.createElement('a');
-        btn.id = 'apc-cog';
-        btn.href = 'javascript:void(0)';
-        btn.className = 'nav-a nav-a-2';
-        btn.setAttribute('aria-label', 'Amazon Price Converter settings');
-        btn.style.display = 'inline-flex';
-        btn.style.alignItems = 'center';
-        btn.style.padding = '2px 6px';
-        btn.style.borderRadius = '16px';
-        btn.style.userSelect = 'none';
-        btn.style.textDecoration = 'none';
-        // Make the cog a bit larger and more white for visibility
-        btn.innerHTML = '<span style="font-size:22px; line-height:1; color:#fff; text-shadow: 0 0 2px rgba(0,0,0,0.8), 0 0 6px rgba(0,0,0,0.5)">⚙</span>';
-        btn.addEventListener('mouseenter', () => {
-            btn.style.background = 'rgba(255,255,255,0.08)';
+        const wrap = document.createElement('div');
+        wrap.className = 'nav-div';
+        const btn = document.createElement('a');
+        btn.id = 'apc-cog';
+        btn.href = 'javascript:void(0)';
+        btn.className = 'nav-a nav-a-2';
+        btn.setAttribute('aria-label', 'Amazon Price Converter settings');
+        btn.style.display = 'inline-flex';
+        btn.style.alignItems = 'center';
+        btn.style.padding = '2px 6px';
+        btn.style.borderRadius = '16px';
+        btn.style.userSelect = 'none';
+        btn.style.textDecoration = 'none';
+        // Make the cog a bit larger and more white for visibility
+        btn.innerHTML = '<span style="font-size:22px; line-height:1; color:#fff; text-shadow: 0 0 2px rgba(0,0,0,0.8), 0 0 6px rgba(0,0,0,0.5)">⚙</span>';
+        btn.addEventListener('mouseenter', () => {
+            btn.style.background = 'rgba(255,255,255,0.08)';
+        });
+        btn.addEventListener('mouseleave', () => {
+            btn.style.background = '';
+        });
+        btn.addEventListener('click', toggleSettingsPanel);
+        wrap.appendChild(btn);
+        // Place it as the leftmost tool item
+        navTools.insertBefore(wrap, navTools.firstChild);
+        updateCogState();
+    }
+
+    /** Show a red badge on the cog while no usable exchange rate is available. */
+    function updateCogState() {
+        const btn = document.getElementById('apc-cog');
+        if (!btn) return;
+        const problem = SETTINGS.enabled ? getRateProblem() : null;
+        const isError = !!problem && problem.level === 'error';
+        let badge = btn.querySelector('.apc-cog-badge');
+        if (isError && !badge) {
+            badge = document.createElement('span');
+            badge.className = 'apc-cog-badge';
+            badge.textContent = '!';
+            badge.style.cssText = 'margin-left:2px;background:#c40000;color:#fff;border-radius:8px;padding:0 5px;font-size:11px;font-weight:700;line-height:16px';
+            btn.appendChild(badge);
+        } else if (!isError && badge) {
+            badge.remove();
+        }
+        btn.title = isError ? `Amazon Price Converter: ${problem.text}` : 'Amazon Price Converter settings';
+    }
+
+    /** Show which provider supplied the current rates and how old they are. */
+    function updateFxStatus(panel) {
+        const el = panel.querySelector('#apc-fx-status');
+        if (!el) return;
+        const problem = getRateProblem();
+        const colors = {error: '#c40000', stale: '#b35c00', partial: '#b35c00'};
+        el.style.color = problem ? colors[problem.level] : '#666';
+        el.style.fontWeight = problem && problem.level === 'error' ? '600' : '';
+        if (!RATE_INFO) {
+            el.textContent = problem ? problem.text : 'Rates: not needed (targets match the base currency)';
+            return;
+        }
+        const when = new Date(RATE_INFO.ts).toLocaleString();
+        el.textContent = `Rates: ${getProviderLabel(RATE_INFO.provider)} (base ${CURRENT_BASE}, fetched ${when})` +
+            (problem ? ' — ' + problem.text : '');
+    }
+
+    /**
+     * Show which settings profile is active. "Use global" drops the site profile
+     * and rebuilds the panel, since most fields change with it.
+     */
+    function renderProfileLine(panel) {
+        const el = panel.querySelector('#apc-profile');
+        if (!el) return;
+        const n = SETTINGS.siteOverrides.length;
+        el.innerHTML = SETTINGS.profileSite
+            ? `<span style="flex:1">Profile: <b>${SETTINGS.profileSite}</b> (${n} site‑specific setting${n === 1 ? '' : 's'}, the rest global)</span>
+               <button id="apc-profile-reset" class="a-button a-button-base" style="padding:0 8px">Use global</button>`
+            : `<span style="flex:1">Profile: <b>global</b> (no overrides for ${getMarketplaceKey()})</span>`;
+        el.querySelector('#apc-profile-reset')?.addEventListener('click', async () => {
+            if (!confirm(`Remove the settings specific to ${SETTINGS.profileSite} and use the global ones?`)) return;
+            clearSiteProfile(SETTINGS.profileSite);
+            CURRENT_BASE = detectPageCurrency().iso;
+            await loadCurrentRates();
+            refreshHints();
+            toggleSettingsPanel();
+            toggleSettingsPanel();
+        });
+    }
+
+    /**
+     * Try a rule without saving it: count matches, show the first parsed values
+     * and outline the matched elements for two seconds.
+     * @returns {string} Human-readable result.
+     */
+    function testPriceRule(rule) {
+        const elements = queryRule(rule);
+        if (!elements) return `Invalid selector: ${rule.selector}`;
+        if (!elements.length) return 'No elements match this selector on the page.';
+        const samples = [];
+        elements.forEach((el, i) => {
+            if (i < 5) {
+                const hit = extractRuleValue(rule, el);
+                const p = hit && hit.parsed;
+                samples.push(!p ? 'not parsed' : (p.kind === 'range' ? `${p.min}–${p.max} ${hit.iso}` : `${p.value} ${hit.iso}`));
+            }
+            const prev = el.style.outline;
+            el.style.outline = '2px dashed #e47911';
+            setTimeout(() => {
+                el.style.outline = prev;
+            }, 2000);
+        });
+        return `${elements.length} match(es). First values: ${samples.join(', ')}`;
+    }
+
+    /** Short CSS selector for a picked element: id, else tag + classes, else tag + data attribute, anchored to its parent. */
+    function buildSelectorFor(el) {
+        const part = (node) => {
+            if (node.id && !/\d{3,}/.test(node.id)) return '#' + CSS.escape(node.id);
+            const classes = Array.from(node.classList).filter(c => !/^apc-/.test(c)).slice(0, 2);
+            if (classes.length) return node.tagName.toLowerCase() + classes.map(c => '.' + CSS.escape(c)).join('');
+            const data = Array.from(node.attributes).find(a => /^data-/.test(a.name));
+            return node.tagName.toLowerCase() + (data ? `[${data.name}]` : '');
+        };
+        const own = part(el);
+        if (own.startsWith('#') || /[.[]/.test(own) || !el.parentElement) return own;
+        return part(el.parentElement) + ' > ' + own;
+    }
+
+    /** Guess a rule for a clicked price: extractor from its markup, selector from its tag/classes. */
+    function ruleFromElement(el) {
+        el = el.closest('.a-price') || el;
+        const selector = buildSelectorFor(el);
+        const rule = {label: `Picked: ${selector}`, selector, extractor: 'text', attribute: '', child: '', insertion: 'append'};
+        if (el.querySelector('.a-price-whole, .a-offscreen')) {
+            rule.extractor = 'structured';
+            rule.insertion = 'after';
+            return rule;
+        }
+        const iso = detectElementCurrency(el);
+        const attr = Array.from(el.attributes).find(a => !/^(id|class|style)$/.test(a.name) && /\d/.test(a.value) && parsePrice(a.value, iso) !== null);
+        if (attr && !parsePrice(textWithoutHints(el), iso)) {
+            rule.extractor = 'attribute';
+            rule.attribute = attr.name;
+        }
+        return rule;
+    }
+
+    /**
+     * Let the user click an element on the page. Hovered elements are outlined;
+     * the click is swallowed so links don't navigate. Escape cancels.
+     * @param {Function} onPick Called with the element, or null when cancelled.
+     */
+    function startElementPicker(onPick) {
+        const box = document.createElement('div');
+        box.id = 'apc-picker';
+        box.style.cssText = 'position:fixed;z-index:2147483646;pointer-events:none;border:2px solid #e47911;background:rgba(228,121,17,0.12);display:none';
+        document.body.appendChild(box);
+        const ignore = (t) => !t || !t.closest || t.closest('#apc-panel, #apc-picker');
+        const move = (e) => {
+            if (ignore(e.target)) return;
+            const r = e.target.getBoundingClientRect();
+            Object.assign(box.style, {display: 'block', top: r.top + 'px', left: r.left + 'px', width: r.width + 'px', height: r.height + 'px'});
+        };
+        const finish = (el) => {
+            window.removeEventListener('mousemove', move, true);
+            window.removeEventListener('click', click, true);
+            window.removeEventListener('keydown', key, true);
+            box.remove();
+            onPick(el);
+        };
+        const click = (e) => {
+            if (ignore(e.target)) return;
+            e.preventDefault();
+            e.stopPropagation();
+            finish(e.target);
+        };
+        const key = (e) => {
+            if (e.key !== 'Escape') return;
+            e.stopPropagation();
+            finish(null);
+        };
+        // Window capture runs before the page's and our own document listeners
+        // (outside-click close, replace-mode toggles), which must not see these events.
+        window.addEventListener('mousemove', move, true);
+        window.addEventListener('click', click, true);
+        window.addEventListener('keydown', key, true);
+    }
+
+    /**
+     * Wire up the price rule list (enable/disable, test, delete user rules) and
+     * the add form with its "Pick element" mode. Works on copies; `collect()`
+     * returns what to save.
+     * @returns {{collect: Function}}
+     */
+    function bindRulesSection(panel) {
+        const custom = SETTINGS.customRules.map(r => Object.assign({}, r));
+        const disabled = new Set(SETTINGS.disabledRules);
+        const list = panel.querySelector('#apc-rules');
+        const result = panel.querySelector('#apc-rule-result');
+        const field = (name) => panel.querySelector('#apc-rule-' + name);
+
+        const render = () => {
+            list.innerHTML = '';
+            custom.map(r => [r, true]).concat(BUILTIN_PRICE_RULES.map(r => [r, false])).forEach(([rule, own]) => {
+                const row = document.createElement('div');
+                row.style.cssText = 'display:flex;align-items:center;gap:6px;margin:2px 0';
+                row.innerHTML = `<input type="checkbox"><span style="flex:1;overflow:hidden;text-overflow:ellipsis;white-space:nowrap"></span>
+                    <button class="a-button a-button-base" style="padding:0 6px" data-act="test">Test</button>
+                    ${own ? '<button class="a-button a-button-base" style="padding:0 6px" data-act="del" title="Delete">×</button>' : ''}`;
+                const chk = row.querySelector('input');
+                chk.checked = !disabled.has(rule.id);
+                chk.addEventListener('change', () => (chk.checked ? disabled.delete(rule.id) : disabled.add(rule.id)));
+                const name = row.querySelector('span');
+                name.textContent = `${own ? '' : '⚙ '}${rule.label} — ${rule.selector}`;
+                name.title = `${rule.extractor}${rule.attribute ? ' [' + rule.attribute + ']' : ''}, ${rule.insertion}${rule.child ? ' (' + rule.child + ')' : ''}`;
+                if (BAD_RULE_SELECTORS.has(rule.selector)) {
+                    name.style.color = '#b12704';
+                    name.title = 'Invalid CSS selector: this rule is skipped\n' + name.title;
+                }
+                row.querySelector('[data-act="test"]').addEventListener('click', () => {
+                    result.textContent = `${rule.label}: ${testPriceRule(rule)}`;
+                });
+                row.querySelector('[data-act="del"]')?.addEventListener('click', () => {
+                    custom.splice(custom.indexOf(rule), 1);
+                    disabled.delete(rule.id);
+                    render();
+                });
+                list.appendChild(row);
+            });
+        };
+        const readForm = () => ({
+            label: field('label').value.trim(),
+            selector: field('selector').value.trim(),
+            extractor: field('extractor').value,
+            insertion: field('insertion').value,
+            attribute: field('attribute').value.trim(),
+            child: field('child').value.trim(),
+        });
+        const fillForm = (rule) => {
+            ['label', 'selector', 'extractor', 'insertion', 'attribute', 'child'].forEach(k => {
+                field(k).value = rule[k] || '';
+            });
+        };
+
+        field('test').addEventListener('click', () => {
+            const rule = readForm();
+            result.textContent = rule.selector ? testPriceRule(rule) : 'Enter a selector first.';
+        });
+        field('add').addEventListener('click', () => {
+            const rule = readForm();
+            if (!rule.selector) {
+                result.textContent = 'Enter a selector first.';
+                return;
+            }
+            if (!queryRule(rule)) {
+                result.textContent = `Invalid selector: ${rule.selector}`;
+                return;
+            }
+            if (rule.extractor === 'attribute' && !rule.attribute) {
+                result.textContent = 'The attribute extractor needs an attribute name.';
+                return;
+            }
+            rule.id = 'user-' + Date.now().toString(36);
+            rule.label = rule.label || rule.selector;
+            custom.push(rule);
+            render();
+            result.textContent = `Added “${rule.label}”. Apply to save it.`;
+        });
+        field('pick').addEventListener('click', () => {
+            panel.style.display = 'none';
+            startElementPicker((el) => {
+                panel.style.display = '';
+                if (!el) return;
+                const rule = ruleFromElement(el);
+                fillForm(rule);
+                result.textContent = testPriceRule(rule);
+            });
+        });
+        render();
+        return {
+            collect: () => ({customRules: normalizePriceRules(custom), disabledRules: Array.from(disabled)}),
+        };
+    }
+
+    /**
+     * Wire up "Export settings" (downloads a JSON file) and "Import settings"
+     * (validates a chosen file, saves it and reopens the panel with the new values).
+     */
+    function bindSettingsTransfer(panel) {
+        const status = panel.querySelector('#apc-io-status');
+        const fileInput = panel.querySelector('#apc-import-file');
+        panel.querySelector('#apc-export')?.addEventListener('click', () => {
+            const blob = new Blob([JSON.stringify(exportSettings(), null, 2)], {type: 'application/json'});
+            const a = document.createElement('a');
+            a.href = URL.createObjectURL(blob);
+            a.download = 'amazon-price-converter-settings.json';
+            document.body.appendChild(a);
+            a.click();
+            a.remove();
+            setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+        });
+        panel.querySelector('#apc-import')?.addEventListener('click', () => fileInput && fileInput.click());
+        fileInput?.addEventListener('change', async () => {
+            const file = fileInput.files && fileInput.files[0];
+            if (!file) return;
+            const result = importSettings(await file.text());
+            fileInput.value = '';
+            if (!result.ok) {
+                status.style.color = '#c40000';
+                status.textContent = ['Import failed, nothing was changed:'].concat(result.errors, result.warnings).join('\n');
+                return;
+            }
+            CURRENT_BASE = detectPageCurrency().iso;
+            await loadCurrentRates();
+            refreshHints();
+            // Rebuild the panel so every field shows the imported values.
+            toggleSettingsPanel();
+            toggleSettingsPanel();
+            const fresh = document.querySelector('#apc-panel #apc-io-status');
+            if (fresh) {
+                fresh.style.color = '#067d62';
+                fresh.textContent = ['Settings imported.'].concat(result.warnings).join('\n');
+            }
+        });
+    }
+
+    /**
+     * Wire up the payment-method editor on a freshly built panel. Works on a copy
+     * of the profiles; `collect()` returns them for saving.
+     * @param {HTMLElement} panel
+     * @param {Function} getPrimary Returns the (possibly unsaved) primary target ISO.
+     * @returns {{collect: Function}}
+     */
+    function bindPaymentSection(panel, getPrimary) {
+        const profiles = SETTINGS.paymentProfiles.map(p => Object.assign({}, p, {weekendDays: p.weekendDays.slice()}));
+        let current = (profiles.find(p => p.id === SETTINGS.activePayment) || profiles[0]).id;
+        const sel = panel.querySelector('#apc-pay');
+        const field = (id) => panel.querySelector(id);
+
+        const readFields = () => {
+            const p = profiles.find(x => x.id === current);
+            if (!p) return;
+            p.name = field('#apc-pay-name').value.trim() || p.name;
+            p.markupPct = parseFloat(field('#apc-pay-markup').value) || 0;
+            p.fixedFee = parseFloat(field('#apc-pay-fixed').value) || 0;
+            p.weekendPct = parseFloat(field('#apc-pay-weekend').value) || 0;
+            p.weekendDays = Array.from(panel.querySelectorAll('.apc-pay-day')).filter(b => b.checked).map(b => Number(b.value));
+        };
+        const render = () => {
+            sel.innerHTML = '';
+            profiles.forEach(p => {
+                const opt = document.createElement('option');
+                opt.value = p.id;
+                opt.textContent = p.name;
+                opt.selected = p.id === current;
+                sel.appendChild(opt);
+            });
+            const p = profiles.find(x => x.id === current);
+            field('#apc-pay-name').value = p.name;
+            field('#apc-pay-markup').value = p.markupPct;
+            field('#apc-pay-fixed').value = p.fixedFee;
+            field('#apc-pay-weekend').value = p.weekendPct;
+            field('#apc-pay-cur').textContent = getPrimary();
+            panel.querySelectorAll('.apc-pay-day').forEach(b => {
+                b.checked = p.weekendDays.includes(Number(b.value));
+            });
+            field('#apc-pay-del').disabled = profiles.length <= 1;
+        };
+
+        sel.addEventListener('change', () => {
+            readFields();
+            current = sel.value;
+            render();
+        });
+        field('#apc-pay-new').addEventListener('click', () => {
+            readFields();
+            const id = 'p' + Date.now().toString(36);
+            profiles.push({id, name: 'Card ' + profiles.length, markupPct: 2, fixedFee: 0, weekendPct: 0, weekendDays: [0, 6]});
+            current = id;
+            render();
+        });
+        field('#apc-pay-del').addEventListener('click', () => {
+            if (profiles.length <= 1) return;
+            profiles.splice(profiles.findIndex(p => p.id === current), 1);
+            current = profiles[0].id;
+            render();
+        });
+        render();
+
+        return {
+            collect: () => {
+                readFields();
+                return {paymentProfiles: profiles, activePayment: current};
+            },
+        };
+    }
+
+    /**
+     * Wire up the landed-cost editor: enable toggle, destination picker and the
+     * editable per-destination table. `collect()` returns the edited values.
+     * @param {HTMLElement} panel
+     * @returns {{collect: Function}}
+     */
+    function bindLandedSection(panel) {
+        const rows = SETTINGS.landedTable.map(r => Object.assign({}, r));
+        let dest = SETTINGS.landedDestination;
+        const body = panel.querySelector('#apc-landed-rows');
+        const destSel = panel.querySelector('#apc-landed-dest');
+        const cols = [
+            ['code', 'text', '3.5em'], ['vatPct', 'number', '4em'], ['dutyPct', 'number', '4em'],
+            ['threshold', 'number', '5em'], ['thresholdCurrency', 'text', '3.5em'], ['union', 'text', '3.5em'],
+        ];
+
+        const readRows = () => {
+            body.querySelectorAll('tr').forEach((tr, i) => {
+                tr.querySelectorAll('input').forEach(inp => {
+                    rows[i][inp.dataset.key] = inp.type === 'number' ? (parseFloat(inp.value) || 0) : inp.value.trim().toUpperCase();
+                });
+            });
+            dest = destSel.value || dest;
+        };
+        const render = () => {
+            body.innerHTML = '';
+            rows.forEach((r, i) => {
+                const tr = document.createElement('tr');
+                cols.forEach(([key, type, width]) => {
+                    const td = document.createElement('td');
+                    const inp = document.createElement('input');
+                    inp.type = type;
+                    if (type === 'number') inp.step = 'any';
+                    inp.dataset.key = key;
+                    inp.value = r[key];
+                    inp.style.width = width;
+                    td.appendChild(inp);
+                    tr.appendChild(td);
+                });
+                const td = document.createElement('td');
+                const del = document.createElement('button');
+                del.textContent = '×';
+                del.title = 'Remove';
+                del.addEventListener('click', () => {
+                    readRows();
+                    rows.splice(i, 1);
+                    render();
+                });
+                td.appendChild(del);
+                tr.appendChild(td);
+                body.appendChild(tr);
+            });
+            destSel.innerHTML = '';
+            rows.forEach(r => {
+                const opt = document.createElement('option');
+                opt.value = r.code;
+                opt.textContent = r.code;
+                opt.selected = r.code === dest;
+                destSel.appendChild(opt);
+            });
+        };
+
+        panel.querySelector('#apc-landed')?.addEventListener('change', (e) => {
+            const fields = panel.querySelector('#apc-landed-fields');
+            if (fields) fields.style.display = e.target.checked ? 'block' : 'none';
+        });
+        body.addEventListener('change', () => {
+            readRows();
+            render();
+        });
+        panel.querySelector('#apc-landed-add')?.addEventListener('click', () => {
+            readRows();
+            rows.push({code: '', vatPct: 20, dutyPct: 4, threshold: 150, thresholdCurrency: 'EUR', union: ''});
+            render();
+        });
+        render();
+
+        return {
+            collect: () => {
+                readRows();
+                return {
+                    landedEnabled: !!panel.querySelector('#apc-landed')?.checked,
+                    landedDestination: dest,
+                    landedTable: rows,
+                };
+            },
+        };
+    }
+
+    /**
+     * Wire the hint style fields and keep the preview in sync with them. The
+     * preview converts two sample prices with the current rates, unsaved values
+     * (including the value units being edited) included.
+     * @param {HTMLElement} panel
+     * @param {{collect: Function, onChange: Function}} units The value units section.
+     * @returns {{collect: Function}}
+     */
+    function bindHintStyleSection(panel, units) {
+        const section = panel.querySelector('#apc-hint-style');
+        const field = (sel) => panel.querySelector(sel);
+        const collect = () => ({
+            hintTemplate: field('#apc-hint-template').value,
+            hintPlacement: field('#apc-hint-placement').value,
+            hintColor: field('#apc-hint-inherit').checked ? '' : field('#apc-hint-color').value,
+            hintOpacity: Number(field('#apc-hint-opacity').value) / 100,
+            hintScale: Number(field('#apc-hint-scale').value),
+            hintCompact: field('#apc-hint-compact').checked,
+        });
+        const preview = () => {
+            const style = Object.assign({}, SETTINGS, normalizeSettingsPartial(Object.assign(collect(), units.collect())));
+            field('#apc-hint-color').disabled = !style.hintColor;
+            field('#apc-hint-opacity-val').textContent = `${Math.round(style.hintOpacity * 100)}%`;
+            field('#apc-hint-scale-val').textContent = `${style.hintScale}%`;
+            const box = field('#apc-hint-preview');
+            box.innerHTML = '';
+            if (!hasUsableRates(CURRENT_RATES)) {
+                box.textContent = 'No exchange rates yet.';
+                return;
+            }
+            const iso = getBaseCurrency();
+            [[12.99, 'm'], [1234.5, 'l']].forEach(([value, size]) => {
+                const row = document.createElement('div');
+                const price = document.createElement('span');
+                price.setAttribute('data-a-size', size);
+                price.style.fontSize = size === 'l' ? '17px' : '15px';
+                price.textContent = `${value} ${iso}`;
+                row.appendChild(price);
+                row.appendChild(createHintElement({kind: 'single', value}, CURRENT_RATES, price, {iso, rule: 'preview'}, style));
+                box.appendChild(row);
+            });
+        };
+        section.addEventListener('input', preview);
+        section.addEventListener('change', preview);
+        units.onChange(preview);
+        preview();
+        return {collect};
+    }
+
+    /**
+     * Editable table of value units (label, amount, currency, mode, decimals).
+     * New rows start in the primary target currency with a placeholder label.
+     * Unlabelled units would be dropped on save, so `check()` reports them and
+     * the panel doesn't save until they are named or removed.
+     * @param {HTMLElement} panel
+     * @param {Function} getPrimary Returns the current primary target ISO.
+     * @returns {{collect: Function, check: Function, onChange: Function}}
+     */
+    function bindUnitsSection(panel, getPrimary) {
+        const rows = SETTINGS.valueUnits.map(u => Object.assign({}, u));
+        const body = panel.querySelector('#apc-units-rows');
+        const error = panel.querySelector('#apc-units-error');
+        const listeners = [];
+        const changed = () => listeners.forEach(fn => fn());
+        const cols = [
+            ['enabled', 'checkbox', ''], ['label', 'text', '9em'], ['amount', 'number', '5.5em'],
+            ['currency', 'text', '3.5em'], ['mode', 'select', ''], ['decimals', 'number', '3em'],
+        ];
+
+        const readRows = () => {
+            body.querySelectorAll('tr').forEach((tr, i) => {
+                tr.querySelectorAll('[data-key]').forEach(inp => {
+                    const key = inp.dataset.key;
+                    if (inp.type === 'checkbox') rows[i][key] = inp.checked;
+                    else if (inp.type === 'number') rows[i][key] = parseFloat(inp.value) || 0;
+                    else rows[i][key] = key === 'currency' ? inp.value.trim().toUpperCase() : inp.value;
+                });
+            });
+        };
+        const render = () => {
+            body.innerHTML = '';
+            rows.forEach((u, i) => {
+                const tr = document.createElement('tr');
+                cols.forEach(([key, type, width]) => {
+                    const td = document.createElement('td');
+                    let inp;
+                    if (type === 'select') {
+                        inp = document.createElement('select');
+                        [['per', 'Price ÷ amount'], ['percent', '% of amount']].forEach(([value, text]) => {
+                            const opt = document.createElement('option');
+                            opt.value = value;
+                            opt.textContent = text;
+                            opt.selected = u.mode === value;
+                            inp.appendChild(opt);
+                        });
+                    } else {
+                        inp = document.createElement('input');
+                        inp.type = type;
+                        if (type === 'checkbox') inp.checked = !!u[key];
+                        else inp.value = u[key];
+                        if (type === 'number') inp.step = 'any';
+                    }
+                    inp.dataset.key = key;
+                    if (width) inp.style.width = width;
+                    td.appendChild(inp);
+                    tr.appendChild(td);
+                });
+                const td = document.createElement('td');
+                const del = document.createElement('button');
+                del.textContent = '×';
+                del.title = 'Remove';
+                del.addEventListener('click', () => {
+                    readRows();
+                    rows.splice(i, 1);
+                    render();
+                    changed();
+                });
+                td.appendChild(del);
+                tr.appendChild(td);
+                body.appendChild(tr);
+            });
+        };
+
+        body.addEventListener('input', () => {
+            readRows();
+            changed();
+        });
+        body.addEventListener('change', () => {
+            readRows();
+            changed();
+        });
+        panel.querySelector('#apc-units-add')?.addEventListener('click', () => {
+            readRows();
+            rows.push({label: 'unit', amount: 0, currency: getPrimary(), mode: 'per', decimals: 1, enabled: true});
+            render();
+            const label = body.querySelector('tr:last-child [data-key="label"]');
+            label?.focus();
+            label?.select();
+        });
+        render();
+
+        return {
+            collect: () => {
+                readRows();
+                return {valueUnits: rows.map(u => Object.assign({}, u))};
+            },
+            check: () => {
+                readRows();
+                const missing = rows.filter(u => !String(u.label || '').trim()).length;
+                if (error) error.textContent = missing ? `Give every unit a label or remove it (${missing} without one).` : '';
+                return !missing;
+            },
+            onChange: (fn) => listeners.push(fn),
+        };
+    }
+
+    /**
+     * Wire the budget filter fields. The amounts are in the primary target
+     * currency, whose code is shown next to them.
+     * @param {HTMLElement} panel
+     * @param {Function} getPrimary Returns the current primary target ISO.
+     * @returns {{collect: Function, check: Function}}
+     */
+    function bindBudgetSection(panel, getPrimary) {
+        const error = panel.querySelector('#apc-budget-error');
+        const showCurrency = () => panel.querySelectorAll('.apc-budget-cur').forEach(el => { el.textContent = getPrimary(); });
+        panel.querySelector('#apc-budget')?.addEventListener('change', (e) => {
+            const fields = panel.querySelector('#apc-budget-fields');
+            if (fields) fields.style.display = e.target.checked ? 'grid' : 'none';
+            showCurrency();
+        });
+        showCurrency();
+
+        return {
+            collect: () => ({
+                budgetEnabled: !!panel.querySelector('#apc-budget')?.checked,
+                budgetMin: parseFloat(panel.querySelector('#apc-budget-min')?.value) || 0,
+                budgetMax: parseFloat(panel.querySelector('#apc-budget-max')?.value) || 0,
+                budgetWithDelivery: !!panel.querySelector('#apc-budget-delivery')?.checked,
+                budgetAction: panel.querySelector('#apc-budget-action')?.value || 'dim',
+                budgetBadge: !!panel.querySelector('#apc-budget-badge')?.checked,
+            }),
+            /** Show an inline error and return false when min is above max. */
+            check: () => {
+                const min = parseFloat(panel.querySelector('#apc-budget-min')?.value) || 0;
+                const max = parseFloat(panel.querySelector('#apc-budget-max')?.value) || 0;
+                const problem = budgetRangeProblem(min, max);
+                if (error) error.textContent = problem ? `Budget ${problem}.` : '';
+                return !problem;
+            },
+        };
+    }
+
+    /**
+     * Render an editable, ordered list (move up/down, remove) into a container.
+     * Mutates `items` in place; `opts.onChange` is called after every edit and is
+     * expected to re-render (usually by calling this function again). Optional
+     * `checked`/`onToggle` add an enable checkbox in front of each row.
+     * @param {HTMLElement} listEl
+     * @param {Array<*>} items
+     * @param {{label?: Function, min?: number, removable?: boolean, checked?: Function, onToggle?: Function, onChange?: Function}} opts
+     */
+    function renderOrderedList(listEl, items, opts) {
+        opts = opts || {};
+        listEl.innerHTML = '';
+        const mkBtn = (text, title, disabled, fn) => {
+            const b = document.createElement('button');
+            b.textContent = text;
+            b.title = title;
+            b.disabled = disabled;
+            b.style.cssText = 'background:none;border:1px solid #ccc;border-radius:3px;padding:0 6px;cursor:pointer';
+            b.addEventListener('click', () => {
+                fn();
+                opts.onChange?.();
+            });
+            return b;
+        };
+        items.forEach((item, i) => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display:flex;align-items:center;gap:4px;margin:2px 0';
+            if (opts.checked) {
+                const box = document.createElement('input');
+                box.type = 'checkbox';
+                box.checked = !!opts.checked(item);
+                box.addEventListener('change', () => opts.onToggle?.(item, box.checked));
+                row.appendChild(box);
+            }
+            const label = document.createElement('span');
+            label.style.flex = '1';
+            label.textContent = (i === 0 && items.length > 1 ? '★ ' : '') + (opts.label ? opts.label(item) : String(item));
+            row.appendChild(label);
+            row.appendChild(mkBtn('↑', 'Move up', i === 0, () => items.splice(i - 1, 0, items.splice(i, 1)[0])));
+            row.appendChild(mkBtn('↓', 'Move down', i === items.length - 1, () => items.splice(i + 1, 0, items.splice(i, 1)[0])));
+            if (opts.removable !== false) {
+                row.appendChild(mkBtn('×', 'Remove', items.length <= (opts.min || 0), () => items.splice(i, 1)));
+            }
+            listEl.appendChild(row);
+        });
+    }
+
+    /**
+     * Create or remove the floating settings panel. Includes:
+     * - Outside click + Esc to close
+     * - Draggable header with smooth, low‑jank movement (rAF + transform)
+     */
+    function toggleSettingsPanel() {
+        const existing = document.getElementById('apc-panel');
+        if (existing) {
+            existing.remove();
+            return;
+        }
+        const panel = document.createElement('div');
+        panel.id = 'apc-panel';
+        panel.style.position = 'fixed';
+        panel.style.top = '64px';
+        panel.style.right = '16px';
+        panel.style.zIndex = '99999';
+        panel.style.background = '#fff';
+        panel.style.border = '1px solid #ddd';
+        panel.style.boxShadow = '0 2px 12px rgba(0,0,0,0.15)';
+        panel.style.padding = '0 12px 10px';
+        panel.style.borderRadius = '6px';
+        panel.style.minWidth = '280px';
+        panel.style.fontSize = '13px';
+        // Taller than the viewport with all sections open: scroll inside, header stays on top.
+        panel.style.maxHeight = 'calc(100vh - 80px)';
+        panel.style.overflow = 'auto';
+
+        const autoFmt = getAutoFormattingFor(SETTINGS.targetCurrency);
+        const html = `
+            <div id="apc-header" style="
+                font-weight:600; margin:0 -12px 8px -12px; padding:10px 12px; cursor:move;
+                position:sticky; top:0; z-index:1;
+                background:#f6f7f8; border-bottom:1px solid #e6e6e6; border-radius:6px 6px 0 0;
+                display:flex; align-items:center; justify-content:space-between;">
+                <span>Amazon Price Converter</span>
+                <button id="apc-x" title="Close" style="background:none;border:none;font-size:18px;cursor:pointer;color:#555">×</button>
+            </div>
+            <div id="apc-profile" style="display:flex;align-items:center;gap:8px;margin:0 0 6px;font-size:12px;color:#555"></div>
+            <label style="display:flex;align-items:center;gap:8px;margin:6px 0">
+                <input type="checkbox" id="apc-enabled" ${SETTINGS.enabled ? 'checked' : ''}>
+                <span>Enabled</span>
+            </label>
+            <label style="display:block;margin:6px 0">
+                <div style="margin-bottom:4px">Display:</div>
+                <select id="apc-display" style="width:100%">
+                    <option value="hint" ${SETTINGS.displayMode !== 'replace' ? 'selected' : ''}>Hint next to Amazon’s price</option>
+                    <option value="replace" ${SETTINGS.displayMode === 'replace' ? 'selected' : ''}>Replace Amazon’s price (${REPLACE_HOTKEY.label} or click toggles)</option>
+                </select>
+            </label>
+            <div id="apc-hint-style" style="margin:6px 0">
+                <label style="display:block;margin:4px 0">
+                    <div style="margin-bottom:4px">Hint template:</div>
+                    <input id="apc-hint-template" type="text" style="width:100%" value="${SETTINGS.hintTemplate.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}">
+                    <div style="font-size:12px;color:#666;margin-top:2px">${Object.keys(HINT_PLACEHOLDERS).map(k => `<code>{${k}}</code> ${HINT_PLACEHOLDERS[k]}`).join(' · ')}</div>
+                </label>
+                <div style="display:grid;grid-template-columns:1fr 1fr;gap:4px 8px;align-items:center">
+                    <label>Placement
+                        <select id="apc-hint-placement" style="width:100%">
+                            <option value="inline" ${SETTINGS.hintPlacement === 'inline' ? 'selected' : ''}>Inline</option>
+                            <option value="badge" ${SETTINGS.hintPlacement === 'badge' ? 'selected' : ''}>Badge</option>
+                            <option value="below" ${SETTINGS.hintPlacement === 'below' ? 'selected' : ''}>Below the price</option>
+                        </select>
+                    </label>
+                    <div>
+                        <label><input type="checkbox" id="apc-hint-inherit" ${SETTINGS.hintColor ? '' : 'checked'}> Page text colour</label>
+                        <input id="apc-hint-color" type="color" value="${SETTINGS.hintColor || DEFAULTS.hintColor}" ${SETTINGS.hintColor ? '' : 'disabled'}>
+                    </div>
+                    <label>Opacity <span id="apc-hint-opacity-val"></span>
+                        <input id="apc-hint-opacity" type="range" min="20" max="100" step="5" style="width:100%" value="${Math.round(SETTINGS.hintOpacity * 100)}">
+                    </label>
+                    <label>Size <span id="apc-hint-scale-val"></span>
+                        <input id="apc-hint-scale" type="range" min="${HINT_SCALE_MIN}" max="${HINT_SCALE_MAX}" step="5" style="width:100%" value="${SETTINGS.hintScale}">
+                    </label>
+                </div>
+                <label style="display:flex;align-items:center;gap:8px;margin:4px 0">
+                    <input type="checkbox" id="apc-hint-compact" ${SETTINGS.hintCompact ? 'checked' : ''}>
+                    <span>Compact numbers (e.g. 12,3 E Ft)</span>
+                </label>
+                <div style="font-size:12px;color:#666">Preview:</div>
+                <div id="apc-hint-preview" style="padding:6px 8px;border:1px dashed #ccc;border-radius:6px;color:#111;background:#fff"></div>
+            </div>
+            <label style="display:block;margin:6px 0">
+                <div style="margin-bottom:4px">Base currency (prices on this site):</div>
+                <select id="apc-base" style="width:100%"></select>
+                <div style="font-size:12px;color:#666;margin-top:4px">
+                    Prices showing another symbol or ISO code are still detected per element.
+                </div>
+            </label>
+            <div style="display:block;margin:6px 0">
+                <div style="margin-bottom:4px">Target currencies (ISO, in display order):</div>
+                <div id="apc-targets"></div>
+                <input id="apc-target-search" type="search" placeholder="Search by code or name (e.g. baht)" style="width:100%;margin-top:4px">
+                <div style="display:flex;gap:6px;margin-top:4px">
+                    <select id="apc-target" size="5" style="flex:1"></select>
+                    <button id="apc-target-add" class="a-button a-button-base" style="padding:0 10px;align-self:flex-start">Add</button>
+                </div>
+                <div id="apc-auto-hint" style="font-size:12px;color:#666;margin-top:4px">
+                    Auto (primary): locale <b>${autoFmt.locale}</b>, ${describeAutoSymbol(autoFmt)}, ${autoFmt.fraction} decimals
+                </div>
+            </div>
+            <div style="margin-top:8px;border-top:1px solid #eee;padding-top:8px">
+                <div style="margin-bottom:4px">Rate providers (tried in order):</div>
+                <div id="apc-providers"></div>
+                <div id="apc-custom-fx" style="display:${SETTINGS.fxProviders.includes('custom') ? 'block' : 'none'}">
+                    <label style="display:block;margin:6px 0">
+                        <div style="margin-bottom:4px">Custom URL (<code>{base}</code> = base ISO):</div>
+                        <input id="apc-custom-url" type="text" placeholder="https://example.org/latest?base={base}" style="width:100%" value="${SETTINGS.customFxUrl.replace(/"/g, '&quot;')}">
+                    </label>
+                    <label style="display:block;margin:6px 0">
+                        <div style="margin-bottom:4px">JSON path to rates:</div>
+                        <input id="apc-custom-path" type="text" placeholder="rates" style="width:100%" value="${SETTINGS.customFxPath.replace(/"/g, '&quot;')}">
+                    </label>
+                </div>
+                <div id="apc-fx-status" style="font-size:12px;color:#666;margin-top:4px"></div>
+            </div>
+            <div style="margin-top:8px;border-top:1px solid #eee;padding-top:8px">
+                <div style="margin-bottom:4px">Payment method (fees on top of mid-market):</div>
+                <div style="display:flex;gap:6px">
+                    <select id="apc-pay" style="flex:1"></select>
+                    <button id="apc-pay-new" class="a-button a-button-base" style="padding:0 8px">New</button>
+                    <button id="apc-pay-del" class="a-button a-button-base" style="padding:0 8px">Delete</button>
+                </div>
+                <div style="display:grid;grid-template-columns:1fr 1fr;gap:4px 8px;margin-top:6px">
+                    <label style="grid-column:1 / 3">Name <input id="apc-pay-name" type="text" style="width:100%"></label>
+                    <label>FX markup % <input id="apc-pay-markup" type="number" step="0.01" min="0" style="width:100%"></label>
+                    <label>Fixed fee (<span id="apc-pay-cur"></span>) <input id="apc-pay-fixed" type="number" step="0.01" min="0" style="width:100%"></label>
+                    <label>Weekend surcharge % <input id="apc-pay-weekend" type="number" step="0.01" min="0" style="width:100%"></label>
+                    <div>Weekend days<br>
+                        <label><input type="checkbox" class="apc-pay-day" value="5"> Fri</label>
+                        <label><input type="checkbox" class="apc-pay-day" value="6"> Sat</label>
+                        <label><input type="checkbox" class="apc-pay-day" value="0"> Sun</label>
+                    </div>
+                </div>
+            </div>
+            <div style="margin-top:8px;border-top:1px solid #eee;padding-top:8px">
+                <label style="display:flex;align-items:center;gap:8px;margin:6px 0">
+                    <input type="checkbox" id="apc-landed" ${SETTINGS.landedEnabled ? 'checked' : ''}>
+                    <span>Landed cost: show “≈ total delivered” incl. import VAT/duty</span>
+                </label>
+                <div id="apc-landed-fields" style="display:${SETTINGS.landedEnabled ? 'block' : 'none'}">
+                    <label style="display:flex;align-items:center;gap:6px;margin:4px 0">
+                        <span>Destination:</span>
+                        <select id="apc-landed-dest" style="flex:1"></select>
+                    </label>
+                    <table style="width:100%;font-size:12px;border-collapse:collapse">
+                        <thead><tr><th>Code</th><th>VAT %</th><th>Duty %</th><th>Duty-free ≤</th><th>Cur</th><th>Union</th><th></th></tr></thead>
+                        <tbody id="apc-landed-rows"></tbody>
+                    </table>
+                    <button id="apc-landed-add" class="a-button a-button-base" style="padding:0 8px;margin-top:4px">Add destination</button>
+                </div>
+            </div>
+            <div style="margin-top:8px;border-top:1px solid #eee;padding-top:8px">
+                <div style="margin-bottom:4px">Value units (shown after the amounts):</div>
+                <table style="width:100%;font-size:12px;border-collapse:collapse">
+                    <thead><tr><th title="Show this unit">On</th><th>Label</th><th>Amount</th><th>Cur</th><th>Mode</th><th title="Decimals">Dec</th><th></th></tr></thead>
+                    <tbody id="apc-units-rows"></tbody>
+                </table>
+                <button id="apc-units-add" class="a-button a-button-base" style="padding:0 8px;margin-top:4px">Add unit</button>
+                <div id="apc-units-error" style="color:#b12704;font-size:12px"></div>
+                <div style="font-size:12px;color:#666;margin-top:2px">“Price ÷ amount”: e.g. your net hourly wage → “≈ 3.5 h”. “% of amount”: e.g. a monthly budget → “12% of monthly budget”.</div>
+            </div>
+            <div style="margin-top:8px;border-top:1px solid #eee;padding-top:8px">
+                <label style="display:flex;align-items:center;gap:8px;margin:6px 0">
+                    <input type="checkbox" id="apc-budget" ${SETTINGS.budgetEnabled ? 'checked' : ''}>
+                    <span>Budget filter on search results</span>
+                </label>
+                <div id="apc-budget-fields" style="display:${SETTINGS.budgetEnabled ? 'grid' : 'none'};grid-template-columns:1fr 1fr;gap:4px 8px">
+                    <label>Min (<span class="apc-budget-cur"></span>, 0 = none) <input id="apc-budget-min" type="number" step="any" min="0" style="width:100%" value="${SETTINGS.budgetMin}"></label>
+                    <label>Max (<span class="apc-budget-cur"></span>, 0 = none) <input id="apc-budget-max" type="number" step="any" min="0" style="width:100%" value="${SETTINGS.budgetMax}"></label>
+                    <label>Outside the range
+                        <select id="apc-budget-action" style="width:100%">
+                            <option value="dim" ${SETTINGS.budgetAction !== 'hide' ? 'selected' : ''}>Dim</option>
+                            <option value="hide" ${SETTINGS.budgetAction === 'hide' ? 'selected' : ''}>Hide</option>
+                        </select>
+                    </label>
+                    <div>
+                        <label><input type="checkbox" id="apc-budget-delivery" ${SETTINGS.budgetWithDelivery ? 'checked' : ''}> Include delivery</label><br>
+                        <label><input type="checkbox" id="apc-budget-badge" ${SETTINGS.budgetBadge ? 'checked' : ''}> Badge results inside</label>
+                    </div>
+                </div>
+                <div id="apc-budget-error" style="color:#b12704;font-size:12px"></div>
+            </div>
+            <div style="margin-top:8px;border-top:1px solid #eee;padding-top:8px">
+                <label style="display:flex;align-items:center;gap:8px;margin:6px 0">
+                    <input type="checkbox" id="apc-checkout" ${SETTINGS.checkoutCompare ? 'checked' : ''}>
+                    <span>Compare Amazon Currency Converter at checkout</span>
+                </label>
+                <label style="display:flex;align-items:center;gap:8px;margin:6px 0">
+                    <input type="checkbox" id="apc-sort" ${SETTINGS.resultSort ? 'checked' : ''}>
+                    <span>“Sort by converted total” on search pages</span>
+                </label>
+                <label style="display:flex;align-items:center;gap:8px;margin:6px 0">
+                    <input type="checkbox" id="apc-defer" ${SETTINGS.deferOffscreen ? 'checked' : ''}>
+                    <span>Convert search results only when they scroll into view</span>
+                </label>
+                <div id="apc-perf" style="font-size:12px;color:#666;margin:2px 0 6px"></div>
+                <label style="display:flex;align-items:center;gap:8px;margin:6px 0">
+                    <input type="checkbox" id="apc-cart-summary" ${SETTINGS.cartSummary ? 'checked' : ''}>
+                    <span>Converted cart summary on the cart page</span>
+                </label>
+                <label style="display:flex;align-items:center;gap:8px;margin:6px 0">
+                    <input type="checkbox" id="apc-compare-on" ${SETTINGS.compareEnabled ? 'checked' : ''}>
+                    <span>“Compare marketplaces” on product pages</span>
+                </label>
+                <label style="display:block;margin:6px 0">
+                    <div style="margin-bottom:4px">Marketplaces (comma separated hosts or base URLs):</div>
+                    <input id="apc-compare-domains" type="text" style="width:100%" value="${SETTINGS.compareDomains.join(', ').replace(/"/g, '&quot;')}">
+                    <div id="apc-compare-error" style="color:#b12704;font-size:12px"></div>
+                </label>
+            </div>
+            <div style="margin-top:8px;border-top:1px solid #eee;padding-top:8px">
+                <div style="display:flex;align-items:center;justify-content:space-between;margin-bottom:4px">
+                    <span>Price history</span>
+                    <button id="apc-history-clear" class="a-button a-button-base" style="padding:0 8px">Clear history</button>
+                </div>
+                <div id="apc-history" style="font-size:12px"></div>
+            </div>
+            <div id="apc-adv-wrap" style="margin-top:8px;border-top:1px solid #eee;padding-top:8px">
+                <label style="display:flex;align-items:center;gap:8px;margin:6px 0">
+                    <input type="checkbox" id="apc-override" ${SETTINGS.overrideFormatting ? 'checked' : ''}>
+                    <span>Advanced options: override auto formatting (primary currency)</span>
+                </label>
+                <div id="apc-adv-fields" style="display:${SETTINGS.overrideFormatting ? 'block' : 'none'}">
+                    <label style="display:block;margin:6px 0">
+                        <div style="margin-bottom:4px">Target locale (for number formatting):</div>
+                        <input id="apc-locale" type="text" placeholder="e.g. hu-HU" style="width:100%" value="${SETTINGS.targetLocale}">
+                    </label>
+                    <label style="display:block;margin:6px 0">
+                        <div style="margin-bottom:4px">Suffix (after number):</div>
+                        <input id="apc-suffix" type="text" style="width:100%" value="${SETTINGS.targetSuffix}">
+                    </label>
+                </div>
+            </div>
+            <div style="margin-top:8px;border-top:1px solid #eee;padding-top:8px">
+                <div style="margin-bottom:4px">Price rules (yours first, then built‑in):</div>
+                <div id="apc-rules" style="font-size:12px"></div>
+                <div style="display:grid;grid-template-columns:1fr 1fr;gap:4px;margin-top:6px;font-size:12px">
+                    <input id="apc-rule-label" type="text" placeholder="Label">
+                    <input id="apc-rule-selector" type="text" placeholder="CSS selector, e.g. .my-price">
+                    <select id="apc-rule-extractor">
+                        <option value="structured">Structured (Amazon price markup)</option>
+                        <option value="text">Text</option>
+                        <option value="attribute">Attribute</option>
+                    </select>
+                    <select id="apc-rule-insertion">
+                        <option value="after">After the element</option>
+                        <option value="append">Append inside</option>
+                        <option value="inside">Inside child</option>
+                        <option value="beside">Beside child</option>
+                    </select>
+                    <input id="apc-rule-attribute" type="text" placeholder="Attribute (e.g. data-price)">
+                    <input id="apc-rule-child" type="text" placeholder="Child selector (optional)">
+                </div>
+                <div style="display:flex;gap:6px;justify-content:flex-end;margin-top:4px">
+                    <button id="apc-rule-pick" class="a-button a-button-base" style="padding:0 8px">Pick element</button>
+                    <button id="apc-rule-test" class="a-button a-button-base" style="padding:0 8px">Test</button>
+                    <button id="apc-rule-add" class="a-button a-button-base" style="padding:0 8px">Add rule</button>
+                </div>
+                <div id="apc-rule-result" style="font-size:12px;color:#555;margin-top:4px;white-space:pre-line"></div>
+            </div>
+            <div style="margin-top:8px;border-top:1px solid #eee;padding-top:8px">
+                <div style="display:flex;align-items:center;gap:8px">
+                    <span style="flex:1">Settings file</span>
+                    <button id="apc-export" class="a-button a-button-base" style="padding:0 8px">Export settings</button>
+                    <button id="apc-import" class="a-button a-button-base" style="padding:0 8px">Import settings</button>
+                    <input id="apc-import-file" type="file" accept="application/json,.json" style="display:none">
+                </div>
+                <div id="apc-io-status" style="font-size:12px;margin-top:4px;white-space:pre-line"></div>
+            </div>
+            <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:10px">
+                <button id="apc-refresh" class="a-button a-button-base" style="padding:4px 10px">Refresh FX</button>
+                <button id="apc-save-site" class="a-button a-button-base" style="padding:4px 10px" title="Save for ${getMarketplaceKey()} only">Apply to this site only</button>
+                <button id="apc-save" class="a-button a-button-primary" style="padding:4px 10px" title="Save globally and drop this site's overrides">Apply everywhere</button>
+                <button id="apc-close" class="a-button a-button-base" style="padding:4px 10px">Close</button>
+            </div>
+        `;
+        panel.innerHTML = html;
+        document.body.appendChild(panel);
+
+        // Convert initial right-aligned position to left for dragging convenience
+        try {
+            const rect = panel.getBoundingClientRect();
+            const left = Math.max(8, window.innerWidth - rect.width - 16);
+            panel.style.left = left + 'px';
+            panel.style.right = '';
+        } catch (_) {
+        }
+
+        // Working copy of the ordered target list; persisted on Save.
+        const targets = SETTINGS.targetCurrencies.slice();
+        const targetsEl = panel.querySelector('#apc-targets');
+        const sel = panel.querySelector('#apc-target');
+
+        // Update auto hint when the primary currency changes (before save)
+        const updateAutoHint = () => {
+            const a = getAutoFormattingFor(targets[0]);
+            const hint = panel.querySelector('#apc-auto-hint');
+            if (hint) hint.innerHTML = `Auto (primary): locale <b>${a.locale}</b>, ${describeAutoSymbol(a)}, ${a.fraction} decimals`;
+            // If override is on, do not auto-change inputs. If override is off, just update hint.
+        };
+
+        // Every currency of the rate table (and the override list), with localized names
+        const list = getKnownCurrencies();
+        const label = (code) => `${code} — ${getCurrencyName(code)}`;
+        const search = panel.querySelector('#apc-target-search');
+
+        // Base currency: "Auto" shows what detection found and where from.
+        const auto = detectPageCurrency(true);
+        const sources = {cookie: 'i18n-prefs cookie', host: 'domain'};
+        const baseSel = panel.querySelector('#apc-base');
+        const baseList = SETTINGS.baseOverride && !list.includes(SETTINGS.baseOverride) ? list.concat(SETTINGS.baseOverride) : list;
+        [''].concat(baseList).forEach(code => {
+            const opt = document.createElement('option');
+            opt.value = code;
+            opt.textContent = code ? label(code) : `Auto: ${auto.iso} (from ${sources[auto.source]})`;
+            opt.selected = code === SETTINGS.baseOverride;
+            baseSel.appendChild(opt);
+        });
+        const refreshTargets = () => {
+            renderOrderedList(targetsEl, targets, {min: 1, onChange: refreshTargets});
+            sel.innerHTML = '';
+            const query = search.value.trim().toLowerCase();
+            list.filter(code => !targets.includes(code) && (!query || label(code).toLowerCase().includes(query))).forEach(code => {
+                const opt = document.createElement('option');
+                opt.value = code;
+                opt.textContent = label(code);
+                sel.appendChild(opt);
+            });
+            if (sel.options.length) sel.selectedIndex = 0;
+            updateAutoHint();
+        };
+        refreshTargets();
+        const addTarget = () => {
+            if (sel.value && !targets.includes(sel.value)) targets.push(sel.value);
+            refreshTargets();
+        };
+        search.addEventListener('input', refreshTargets);
+        search.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            addTarget();
+        });
+        sel.addEventListener('dblclick', addTarget);
+        panel.querySelector('#apc-target-add')?.addEventListener('click', addTarget);
+
+        // Providers: enabled ones first (in their saved order), then the rest.
+        const providerOrder = SETTINGS.fxProviders.concat(Object.keys(FX_PROVIDERS).filter(id => !SETTINGS.fxProviders.includes(id)));
+        const providerOn = new Set(SETTINGS.fxProviders);
+        const providersEl = panel.querySelector('#apc-providers');
+        const refreshProviders = () => {
+            renderOrderedList(providersEl, providerOrder, {
+                removable: false,
+                label: getProviderLabel,
+                checked: id => providerOn.has(id),
+                onToggle: (id, on) => (on ? providerOn.add(id) : providerOn.delete(id)),
+                onChange: refreshProviders,
+            });
+            const customWrap = panel.querySelector('#apc-custom-fx');
+            if (customWrap) customWrap.style.display = providerOn.has('custom') ? 'block' : 'none';
+        };
+        refreshProviders();
+        updateFxStatus(panel);
+        const payment = bindPaymentSection(panel, () => targets[0]);
+        const landed = bindLandedSection(panel);
+        const budget = bindBudgetSection(panel, () => targets[0]);
+        const units = bindUnitsSection(panel, () => targets[0]);
+        const hintStyle = bindHintStyleSection(panel, units);
+        renderHistorySection(panel);
+        renderProfileLine(panel);
+        renderPassStats(panel);
+        const rules = bindRulesSection(panel);
+        bindSettingsTransfer(panel);
+        panel.querySelector('#apc-history-clear')?.addEventListener('click', () => {
+            if (!confirm('Delete the stored price history of all products?')) return;
+            clearPriceHistory();
+            renderHistorySection(panel);
+        });
+
+        const closePanel = () => panel.remove();
+        panel.querySelector('#apc-x')?.addEventListener('click', closePanel);
+        panel.querySelector('#apc-close')?.addEventListener('click', closePanel);
+        const advFields = panel.querySelector('#apc-adv-fields');
+        const overrideChk = panel.querySelector('#apc-override');
+        if (overrideChk) {
+            overrideChk.addEventListener('change', (e) => {
+                if (advFields) advFields.style.display = e.target.checked ? 'block' : 'none';
+            });
+        }
+        panel.querySelector('#apc-refresh')?.addEventListener('click', async () => {
+            // Expire the cache for the current base; the old table stays as a stale fallback.
+            const base = getBaseCurrency();
+            GM_setValue(KV.lastUpdate + base, 0);
+            resetRateRetry();
+            await loadCurrentRates();
+            refreshHints();
+        });
+        // "Apply everywhere" saves globally and drops this site's overrides;
+        // "Apply to this site only" stores what differs from global in the site profile.
+        const save = async (siteOnly) => {
+            const enabled = panel.querySelector('#apc-enabled').checked;
+            const targetCurrencies = targets.slice();
+            const overrideFormatting = !!panel.querySelector('#apc-override')?.checked;
+            let targetLocale = SETTINGS.targetLocale;
+            let targetSuffix = SETTINGS.targetSuffix;
+            if (overrideFormatting) {
+                targetLocale = panel.querySelector('#apc-locale')?.value || '';
+                targetSuffix = panel.querySelector('#apc-suffix')?.value || '';
+            } else {
+                // compute and persist autos for convenience
+                const auto = getAutoFormattingFor(targetCurrencies[0]);
+                targetLocale = auto.locale;
+                targetSuffix = auto.suffix;
+            }
+            const baseOverride = panel.querySelector('#apc-base')?.value || '';
+            const cartSummary = !!panel.querySelector('#apc-cart-summary')?.checked;
+            const displayMode = panel.querySelector('#apc-display')?.value || 'hint';
+            const deferOffscreen = !!panel.querySelector('#apc-defer')?.checked;
+            const resultSort = !!panel.querySelector('#apc-sort')?.checked;
+            const checkoutCompare = !!panel.querySelector('#apc-checkout')?.checked;
+            const {customRules, disabledRules} = rules.collect();
+            const compareEnabled = !!panel.querySelector('#apc-compare-on')?.checked;
+            const compareDomains = panel.querySelector('#apc-compare-domains')?.value || '';
+            const badDomains = compareDomains.split(/[\s,]+/).filter(d => d && !isValidCompareEntry(d));
+            const compareError = panel.querySelector('#apc-compare-error');
+            if (compareError) compareError.textContent = badDomains.length ? `Not a host or http(s) URL: ${badDomains.join(', ')}` : '';
+            const unitsOk = units.check();
+            const budgetOk = budget.check();
+            if (badDomains.length || !unitsOk || !budgetOk) return;
+            const {paymentProfiles, activePayment} = payment.collect();
+            const {landedEnabled, landedDestination, landedTable} = landed.collect();
+            const {budgetEnabled, budgetMin, budgetMax, budgetWithDelivery, budgetAction, budgetBadge} = budget.collect();
+            const {hintTemplate, hintPlacement, hintColor, hintOpacity, hintScale, hintCompact} = hintStyle.collect();
+            const {valueUnits} = units.collect();
+            const fxProviders = providerOrder.filter(id => providerOn.has(id));
+            const customFxUrl = panel.querySelector('#apc-custom-url')?.value || '';
+            const customFxPath = panel.querySelector('#apc-custom-path')?.value || '';
+            const site = getMarketplaceKey();
+            saveSettings({
+                enabled, targetCurrencies, targetLocale, targetSuffix, overrideFormatting,
+                fxProviders, customFxUrl, customFxPath, paymentProfiles, activePayment,
+                landedEnabled, landedDestination, landedTable, baseOverride, compareEnabled, compareDomains, cartSummary,
+                displayMode, customRules, disabledRules, deferOffscreen,
+                budgetEnabled, budgetMin, budgetMax, budgetWithDelivery, budgetAction, budgetBadge, resultSort,
+                checkoutCompare, hintTemplate, hintPlacement, hintColor, hintOpacity, hintScale, hintCompact,
+                valueUnits,
+            }, siteOnly ? {site} : {});
+            if (!siteOnly) clearSiteProfile(site);
+            CURRENT_BASE = detectPageCurrency().iso;
+            // When settings change, refresh rates and rerender
+            await loadCurrentRates();
+            refreshHints();
+            renderProfileLine(panel);
+        };
+        panel.querySelector('#apc-save')?.addEventListener('click', () => save(false));
+        panel.querySelector('#apc-save-site')?.addEventListener('click', () => save(true));
+
+        // Stop propagation so outside-click closer doesn't immediately close
+        panel.addEventListener('click', (e) => e.stopPropagation());
+
+        // Draggable behavior via header
+        const header = panel.querySelector('#apc-header');
+        if (header) {
+            // Prevent page scroll during drag (touch/pen)
+            header.style.touchAction = 'none';
+            // Use Pointer Events + requestAnimationFrame and CSS transform for smoothness.
+            // We compute deltas relative to the panel's current left/top and then commit
+            // the final position on pointerup to avoid layout thrash during the drag.
+
+            let dragging = false;
+            let startX = 0, startY = 0;     // pointer start
+            let baseLeft = 0, baseTop = 0;  // left/top at drag start
+            let dx = 0, dy = 0;             // live deltas
+            let rafId = 0;
+
+            const onPointerMove = (e) => {
+                // Coalesce rapid events via rAF
+                dx = e.clientX - startX;
+                dy = e.clientY - startY;
+                if (!rafId) {
+                    rafId = requestAnimationFrame(() => {
+                        rafId = 0;
+                        // Keep within viewport with margins, applied to visual position;
+                        // the top-left corner never leaves the visible area.
+                        const margin = 4;
+                        const w = panel.offsetWidth;
+                        const h = panel.offsetHeight;
+                        let nx = baseLeft + dx;
+                        let ny = baseTop + dy;
+                        nx = Math.max(margin, Math.min(window.innerWidth - w - margin, nx));
+                        ny = Math.max(margin, Math.min(window.innerHeight - h - margin, ny));
+                        // Apply visual movement via transform relative to base position
+                        const tx = nx - baseLeft;
+                        const ty = ny - baseTop;
+                        panel.style.transform = `translate(${tx}px, ${ty}px)`;
+                    });
+                }
+                e.preventDefault();
+            };
+
+            const endDrag = () => {
+                if (!dragging) return;
+                dragging = false;
+                header.releasePointerCapture?.(lastPointerId);
+                window.removeEventListener('pointermove', onPointerMove);
+                window.removeEventListener('pointerup', endDrag);
+                window.removeEventListener('pointercancel', endDrag);
+                document.body.style.userSelect = '';
+                if (rafId) {
+                    cancelAnimationFrame(rafId);
+                    rafId = 0;
+                }
+                // Commit final position: compute visual offsets from transform and add to base
+                const tr = panel.style.transform;
+                let tx = 0, ty = 0;
+                if (tr && tr.startsWith('translate(')) {
+                    const m = tr.match(/translate\(([-\d.]+)px,\s*([\-\d.]+)px\)/);
+                    if (m) {
+                        tx = parseFloat(m[1]) || 0;
+                        ty = parseFloat(m[2]) || 0;
+                    }
+                }
+                const finalLeft = baseLeft + tx;
+                const finalTop = baseTop + ty;
+                panel.style.transform = 'none';
+                panel.style.left = Math.round(finalLeft) + 'px';
+                panel.style.top = Math.round(finalTop) + 'px';
+                panel.style.willChange = '';
+            };
+
+            let lastPointerId = 0;
+            header.addEventListener('pointerdown', (e) => {
+                // Only start drag on primary button/touch/pen
+                if (e.button !== undefined && e.button !== 0) return;
+                dragging = true;
+                lastPointerId = e.pointerId || 0;
+                const rect = panel.getBoundingClientRect();
+                // Ensure left/top are numeric anchors to compute deltas from
+                const curLeft = parseFloat(panel.style.left || rect.left);
+                const curTop = parseFloat(panel.style.top || rect.top);
+                baseLeft = isFinite(curLeft) ? curLeft : rect.left;
+                baseTop = isFinite(curTop) ? curTop : rect.top;
+                startX = e.clientX;
+                startY = e.clientY;
+                dx = 0;
+                dy = 0;
+                panel.style.willChange = 'transform';
+                document.body.style.userSelect = 'none';
+                header.setPointerCapture?.(lastPointerId);
+                window.addEventListener('pointermove', onPointerMove, {passive: false});
+                window.addEventListener('pointerup', endDrag);
+                window.addEventListener('pointercancel', endDrag);
+                e.preventDefault();
+            });
+        }
+    }
+
+    // Close the settings panel when clicking outside of it (and not on the cog)
+    let outsideCloseAttached = false;
+
+    /**
+     * One-time global listeners to close the panel on outside click or Esc.
+     * Safe to call multiple times; attaches only once per page.
+     */
+    function attachOutsideClose() {
+        if (outsideCloseAttached) return;
+        outsideCloseAttached = true;
+        document.addEventListener('click', (e) => {
+            const panel = document.getElementById('apc-panel');
+            const cog = document.getElementById('apc-cog');
+            if (!panel) return;
+            const target = e.target;
+            const insidePanel = target && (target.closest ? target.closest('#apc-panel') : null);
+            const onCog = target && (target.closest ? target.closest('#apc-cog') : null);
+            if (!insidePanel && !onCog) {
+                panel.remove();
+            }
+        }, true);
+        // Optional: close with Escape
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                const panel = document.getElementById('apc-panel');
+                if (panel) panel.remove();
+            }
+        });
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // 8. Landed Cost Estimate
+    // Product price + delivery + import VAT/duty for cross-border orders.
+    ////////////////////////////////////////////////////////////////////////////
+
+    /** Customs union of a marketplace host ('' when not in a known union). */
+    function getMarketplaceUnion(host) {
+        host = host || location.hostname;
+        if (/amazon\.(de|fr|it|es|nl|com\.be|se|pl|ie)$/.test(host)) return 'EU';
+        if (/amazon\.co\.uk$/.test(host)) return 'GB';
+        return '';
+    }
+
+    /** The landed-cost row for the configured destination, if any. */
+    function getLandedDestination() {
+        return SETTINGS.landedTable.find(r => r.code === SETTINGS.landedDestination) || null;
+    }
+
+    /**
+     * Estimate what an order costs once delivered. Values are in `fromIso`.
+     * Import VAT applies to goods + delivery (+ duty); duty only above the
+     * duty-free threshold. Same-union orders only add delivery.
+     * @param {number} goods Product price.
+     * @param {number} delivery Delivery fee (0 when free).
+     * @param {string} fromIso Currency of both amounts.
+     * @returns {{goods: number, delivery: number, duty: number, vat: number, total: number, crossBorder: boolean}}
+     */
+    function estimateLandedCost(goods, delivery, fromIso) {
+        const dest = getLandedDestination();
+        const union = getMarketplaceUnion();
+        const crossBorder = !!dest && !(dest.union && dest.union === union);
+        const value = goods + delivery;
+        let duty = 0;
+        let vat = 0;
+        if (crossBorder) {
+            const threshold = crossConvert(dest.threshold, dest.thresholdCurrency, fromIso);
+            if (threshold !== null && value > threshold) duty = value * dest.dutyPct / 100;
+            vat = (value + duty) * dest.vatPct / 100;
+        }
+        return {goods, delivery, duty, vat, total: value + duty + vat, crossBorder};
+    }
+
+    /**
+     * Delivery fee for a product scope, parsed from `data-csa-c-delivery-price`.
+     * @returns {number|null} 0 for free delivery, null when no delivery info exists (yet).
+     */
+    function findDeliveryFee(scope) {
+        const block = scope.querySelector('[data-csa-c-delivery-price]');
+        if (!block) return null;
+        const raw = block.getAttribute('data-csa-c-delivery-price');
+        const value = parseStringValue(raw, detectElementCurrency(block, raw));
+        return value === null ? 0 : value;
+    }
+
+    /**
+     * Build the "≈ total delivered" line for an estimate, with a breakdown tooltip.
+     * @returns {HTMLDivElement}
+     */
+    function createLandedElement(est, deliveryKnown, rates, base) {
+        const values = SETTINGS.targetCurrencies
+            .filter(code => rates[code] > 0)
+            .map(code => formatCurrency(applyPaymentFees(est.total * rates[code], code, rates).total, code));
+        const dest = getLandedDestination();
+        const money = (v) => `${v.toFixed(2)} ${base}`;
+        const tips = [`Goods: ${money(est.goods)}`, `Delivery: ${deliveryKnown ? money(est.delivery) : 'unknown'}`];
+        if (est.crossBorder) {
+            tips.push(`Duty (${dest.dutyPct}% above ${dest.threshold} ${dest.thresholdCurrency}): ${money(est.duty)}`);
+            tips.push(`Import VAT ${dest.code} (${dest.vatPct}%): ${money(est.vat)}`);
+        } else {
+            tips.push(`No import taxes (same customs area as ${dest ? dest.code : 'destination'})`);
+        }
+        if (hasPaymentFees()) tips.push(`Payment method: ${getActivePaymentProfile().name}`);
+
+        const div = document.createElement('div');
+        div.className = 'apc-tag apc-landed-line';
+        div.style.cssText = 'color:#111;font-size:13px;font-weight:400;margin:2px 0';
+        div.textContent = `≈ total delivered${deliveryKnown ? '' : ' (delivery unknown)'}: ${values.join(' · ')}`;
+        div.title = tips.join('\n');
+        return div;
+    }
+
+    /**
+     * Add a landed-cost line under the main product price and under each search
+     * result. A scope is only marked done once its delivery fee is known, so the
+     * line is recomputed when Amazon loads the delivery block later; an unchanged
+     * line is left alone so our own insertions don't retrigger the observer.
+     * @param {Array<Node>} [scopes] Changed subtrees; omitted for a full pass.
+     */
+    function renderLandedCosts(rates, scopes) {
+        const deliveryBlock = '#mir-layout-DELIVERY_BLOCK, #deliveryBlockMessage';
+        const selector = '#centerCol:not(.apc-landed), [data-component-type="s-search-result"]:not(.apc-landed)';
+        // A delivery block loaded outside #centerCol still updates the product page line.
+        const lateDelivery = scopes && scopesMatch(deliveryBlock, scopes);
+        queryScopes(selector, lateDelivery ? null : scopes).forEach(scope => {
+            const priceEl = findMainPrice(scope) || scope.querySelector('.a-price:not(.a-text-price)');
+            if (!priceEl) return;
+            const goods = parsePriceFromComplexElement(priceEl);
+            const iso = detectElementCurrency(priceEl);
+            const elRates = ratesForCurrency(iso, rates);
+            if (goods === null || !hasUsableRates(elRates)) return;
+            // The product page's delivery block lives outside #centerCol on some layouts.
+            const deliveryScope = scope.id === 'centerCol'
+                ? (document.querySelector(deliveryBlock) || scope)
+                : scope;
+            const fee = findDeliveryFee(deliveryScope);
+            const est = estimateLandedCost(goods, fee || 0, iso);
+            const line = createLandedElement(est, fee !== null, elRates, iso);
+            const existing = scope.querySelector('.apc-landed-line');
+            if (existing && existing.textContent === line.textContent) return;
+            if (existing) existing.remove();
+            const anchor = priceEl.closest('#corePriceDisplay_desktop_feature_div, #corePrice_feature_div') || priceEl.parentNode;
+            if (anchor && anchor.parentNode) anchor.parentNode.insertBefore(line, anchor.nextSibling);
+            if (fee !== null) scope.classList.add('apc-landed');
+        });
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // 9. Price History
+    // Per-ASIN observations of the main product price, bounded in size.
+    ////////////////////////////////////////////////////////////////////////////
+
+    /** The buy-box price element within a document or subtree, if any. */
+    function findMainPrice(root) {
+        return root.querySelector(MAIN_PRICE_SELECTOR);
+    }
+
+    /** ASIN of the current product page, from the URL or the hidden form field. */
+    function getPageAsin() {
+        const m = /\/(?:dp|gp\/product|gp\/aw\/d)\/([A-Z0-9]{10})(?:[/?#]|$)/i.exec(location.pathname);
+        if (m) return m[1].toUpperCase();
+        const input = document.querySelector('input#ASIN, input[name="ASIN"]');
+        return input && /^[A-Z0-9]{10}$/i.test(input.value) ? input.value.toUpperCase() : null;
+    }
+
+    /** Marketplace part of a host, e.g. "www.amazon.de" → "amazon.de". */
+    function getMarketplaceKey(host) {
+        return String(host || location.hostname).replace(/^(www|smile|m)\./, '');
+    }
+
+    /** Storage key of one product's history. */
+    function historyKey(asin, marketplace) {
+        return KV.history + (marketplace || getMarketplaceKey()) + '_' + asin;
+    }
+
+    /**
+     * Load the stored observations for a product.
+     * @returns {Array<{t: number, v: number, c: string, r: number, p: string}>}
+     *   Timestamp, value, its currency, rate to the primary target used, and that target.
+     */
+    function loadPriceHistory(asin, marketplace) {
+        const points = GM_getValue(historyKey(asin, marketplace), []);
+        return Array.isArray(points) ? points : [];
+    }
+
+    /**
+     * Store the main price of the current product page. Unchanged prices are
+     * recorded at most every HISTORY_MIN_GAP_MS; products and points are capped.
+     */
+    function recordPriceObservation(value, iso, rates) {
+        const asin = getPageAsin();
+        if (!asin || !(value > 0)) return;
+        const key = historyKey(asin);
+        const points = loadPriceHistory(asin);
+        const now = Date.now();
+        const last = points[points.length - 1];
+        if (last && last.v === value && last.c === iso && now - last.t < HISTORY_MIN_GAP_MS) return;
+        const primary = SETTINGS.targetCurrency;
+        points.push({t: now, v: value, c: iso, r: rates[primary] || 0, p: primary});
+        GM_setValue(key, points.slice(-HISTORY_MAX_POINTS));
+
+        // Move this product to the end of the index and evict the oldest beyond the cap.
+        const index = GM_getValue(KV.historyIndex, []).filter(e => e && e.key !== key);
+        index.push({key, t: now});
+        while (index.length > HISTORY_MAX_PRODUCTS) GM_deleteValue(index.shift().key);
+        GM_setValue(KV.historyIndex, index);
+    }
+
+    /** Delete every stored price history. */
+    function clearPriceHistory() {
+        GM_getValue(KV.historyIndex, []).forEach(e => e && GM_deleteValue(e.key));
+        GM_setValue(KV.historyIndex, []);
+    }
+
+    /**
+     * Lowest/highest/last-change summary of a product's history, in its base
+     * currency and in the primary target (at the rate stored with each point).
+     */
+    function summarizeHistory(points) {
+        const pts = points.filter(pt => pt.c === points[points.length - 1].c);
+        let min = pts[0];
+        let max = pts[0];
+        let change = null;
+        pts.forEach((pt, i) => {
+            if (pt.v < min.v) min = pt;
+            if (pt.v > max.v) max = pt;
+            if (i > 0 && pt.v !== pts[i - 1].v) change = {from: pts[i - 1], to: pt};
+        });
+        return {points: pts, min, max, change, last: pts[pts.length - 1]};
+    }
+
+    /**
+     * Small inline SVG sparkline of a numeric series.
+     * @param {Array<number>} values
+     * @returns {string} SVG markup.
+     */
+    function sparklineSvg(values, width, height, color) {
+        width = width || 220;
+        height = height || 32;
+        if (values.length < 2) values = values.concat(values);
+        const lo = Math.min(...values);
+        const hi = Math.max(...values);
+        const span = hi - lo || 1;
+        const step = width / (values.length - 1);
+        const pts = values.map((v, i) => `${(i * step).toFixed(1)},${(height - 2 - (v - lo) / span * (height - 4)).toFixed(1)}`);
+        return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" style="display:block">` +
+            `<polyline fill="none" stroke="${color || '#007185'}" stroke-width="1.5" points="${pts.join(' ')}"/></svg>`;
+    }
+
+    /** Fill the panel's price-history section for the current product page. */
+    function renderHistorySection(panel) {
+        const el = panel.querySelector('#apc-history');
+        if (!el) return;
+        const asin = getPageAsin();
+        const points = asin ? loadPriceHistory(asin) : [];
+        if (!points.length) {
+            el.innerHTML = `<div style="color:#666">${asin ? 'No prices recorded for this product yet.' : 'Open a product page to see its price history.'}</div>`;
+            return;
+        }
+        const h = summarizeHistory(points);
+        const base = h.last.c;
+        const fmtBase = (v) => `${v.toFixed(2)} ${base}`;
+        const fmtTarget = (pt) => (pt.r > 0 ? formatCurrency(pt.v * pt.r, pt.p) : '–');
+        const date = (pt) => new Date(pt.t).toLocaleDateString();
+        const row = (label, pt) => `<tr><td>${label}</td><td>${fmtBase(pt.v)}</td><td>${fmtTarget(pt)}</td><td style="color:#666">${date(pt)}</td></tr>`;
+        let change = 'no change seen';
+        if (h.change) {
+            const diff = h.change.to.v - h.change.from.v;
+            const pct = h.change.from.v ? (diff / h.change.from.v * 100).toFixed(1) : '0';
+            change = `${diff > 0 ? '+' : ''}${fmtBase(diff)} (${diff > 0 ? '+' : ''}${pct}%) on ${date(h.change.to)}`;
+        }
+        el.innerHTML = `
+            <div style="margin-bottom:4px">${asin} on ${getMarketplaceKey()} — ${h.points.length} observation(s)</div>
+            <table style="width:100%;font-size:12px">
+                ${row('Lowest', h.min)}
+                ${row('Highest', h.max)}
+                ${row('Latest', h.last)}
+            </table>
+            <div style="font-size:12px;margin:4px 0">Last change: ${change}</div>
+            <div style="font-size:11px;color:#666">${base}</div>
+            ${sparklineSvg(h.points.map(pt => pt.v))}
+            <div style="font-size:11px;color:#666">${h.last.p} (rate at each observation)</div>
+            ${sparklineSvg(h.points.map(pt => pt.v * (pt.r || 0)), 0, 0, '#b12704')}
+        `;
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // 10. Marketplace Comparison
+    // Fetch the same ASIN from other Amazon sites and rank them in the target currency.
+    ////////////////////////////////////////////////////////////////////////////
+
+    /** True for a compare entry that names a host ("amazon.fr") or an http(s) base URL. */
+    function isValidCompareEntry(entry) {
+        entry = String(entry || '').trim().replace(/\/+$/, '');
+        if (!/^https?:\/\//i.test(entry)) return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(entry);
+        try {
+            new URL(entry);
+            return true;
+        } catch (_e) {
+            return false;
+        }
+    }
+
+    /**
+     * Turn a configured compare entry into a fetchable product URL.
+     * @param {string} entry "amazon.fr" or a base URL such as "http://localhost:8000/amazon.fr".
+     * @param {string} asin
+     * @returns {{label: string, url: string, host: string}} `host` names the marketplace
+     *   (used for currency and number conventions).
+     */
+    function resolveCompareTarget(entry, asin) {
+        entry = String(entry || '').trim().replace(/\/+$/, '');
+        if (/^https?:\/\//i.test(entry)) {
+            const u = new URL(entry);
+            const named = u.pathname.split('/').reverse().find(seg => /^(www\.)?amazon\./i.test(seg));
+            const host = named ? named.replace(/^www\./i, 'www.') : u.hostname;
+            return {label: named || u.host, url: `${entry}/dp/${asin}`, host: /^www\./.test(host) ? host : 'www.' + host};
+        }
+        const host = /^(www|smile|m)\./.test(entry) ? entry : 'www.' + entry;
+        return {label: getMarketplaceKey(host), url: `https://${host}/dp/${asin}`, host};
+    }
+
+    /**
+     * Read the main price and delivery fee of a product page (live or fetched).
+     * @param {Document} doc
+     * @param {string} host Marketplace host of that page.
+     * @param {string} [pageIso] Page currency; defaults to the host's currency.
+     * @returns {{price: number, delivery: number|null, iso: string}|null}
+     */
+    function extractOffer(doc, host, pageIso) {
+        const priceEl = findMainPrice(doc);
+        if (!priceEl) return null;
+        const iso = detectElementCurrency(priceEl, null, pageIso || detectBaseCurrencyFromHost(host));
+        const price = parsePriceFromComplexElement(priceEl, iso, host);
+        if (price === null) return null;
+        const block = doc.querySelector('#mir-layout-DELIVERY_BLOCK [data-csa-c-delivery-price], #deliveryBlockMessage [data-csa-c-delivery-price]') ||
+            doc.querySelector('[data-csa-c-delivery-price]');
+        let delivery = null;
+        if (block) {
+            const raw = block.getAttribute('data-csa-c-delivery-price');
+            delivery = parseStringValue(raw, iso) || 0; // "FREE" and friends parse to nothing
+        }
+        return {price, delivery, iso};
+    }
+
+    /**
+     * Fetch one marketplace's product page and extract its offer.
+     * @returns {Promise<{label: string, url: string, offer: Object|null, error: string|null}>}
+     */
+    async function fetchMarketplaceOffer(target) {
+        try {
+            const html = await gmGet(target.url);
+            const doc = new DOMParser().parseFromString(html, 'text/html');
+            const offer = extractOffer(doc, target.host);
+            return {label: target.label, url: target.url, offer, error: offer ? null : 'no price found'};
+        } catch (e) {
+            return {label: target.label, url: target.url, offer: null, error: 'fetch failed'};
+        }
+    }
+
+    /**
+     * Compare the current product across the configured marketplaces. Each offer
+     * (price + delivery) is converted from its own currency into the primary
+     * target, including payment fees, and the rows are sorted cheapest first.
+     */
+    async function compareMarketplaces(asin) {
+        const primary = SETTINGS.targetCurrency;
+        const base = getBaseCurrency();
+        const info = RATE_INFO || await getRatesTable(base, [primary]);
+        const table = info ? info.rates : null;
+        const here = getMarketplaceKey();
+        const targets = SETTINGS.compareDomains
+            .filter(isValidCompareEntry) // entries saved by older versions were not checked
+            .map(entry => resolveCompareTarget(entry, asin))
+            .filter(t => t.label !== here);
+        const rows = await Promise.all(targets.map(fetchMarketplaceOffer));
+        const own = extractOffer(document, location.hostname, detectPageCurrency().iso);
+        rows.unshift({label: here + ' (this site)', url: location.href, offer: own, error: own ? null : 'no price found'});
+
+        rows.forEach(row => {
+            if (!row.offer) return;
+            const o = row.offer;
+            const mid = crossConvert(o.price + (o.delivery || 0), o.iso, primary, table);
+            if (mid === null) {
+                row.error = `no rate for ${o.iso}`;
+                return;
+            }
+            // Fixed fees are cross-converted from the primary currency, so a 1:1 map suffices.
+            row.total = applyPaymentFees(mid, primary, {[primary]: 1}).total;
         });
-        btn.addEventListener('mouseleave', () => {
-            btn.style.background = '';
+        return rows.sort((a, b) => (a.total === undefined) - (b.total === undefined) || (a.total || 0) - (b.total || 0));
+    }
+
+    /** Render comparison rows as a small table. */
+    function renderCompareTable(box, rows) {
+        const out = box.querySelector('.apc-compare-result');
+        const best = rows.find(r => r.total !== undefined);
+        const esc = (t) => String(t).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+        const money = (v, iso) => `${v.toFixed(2)} ${iso}`;
+        out.innerHTML = `<table style="width:100%;font-size:12px;border-collapse:collapse;margin-top:4px">
+            <thead><tr style="text-align:left"><th>Marketplace</th><th>Price</th><th>Delivery</th><th>Total (${esc(SETTINGS.targetCurrency)})</th></tr></thead>
+            <tbody>${rows.map(r => {
+                const o = r.offer;
+                const cells = r.total === undefined
+                    ? `<td colspan="3" style="color:#666">${esc(r.error || 'unavailable')}</td>`
+                    : `<td>${money(o.price, o.iso)}</td><td>${o.delivery === null ? '?' : (o.delivery ? money(o.delivery, o.iso) : 'free')}</td>` +
+                      `<td style="font-weight:${r === best ? '700' : '400'}">${esc(formatCurrency(r.total, SETTINGS.targetCurrency))}</td>`;
+                return `<tr><td><a href="${esc(r.url)}" target="_blank" rel="noopener">${esc(r.label)}</a></td>${cells}</tr>`;
+            }).join('')}</tbody></table>`;
+    }
+
+    /**
+     * Insert the "Compare marketplaces" box under the main price (product pages only).
+     * @param {Array<Node>} [scopes] Changed subtrees; only looked at when they hold the main price.
+     */
+    function ensureCompareWidget(scopes) {
+        if (document.getElementById('apc-compare') || !scopesMatch(MAIN_PRICE_SELECTOR, scopes)) return;
+        const asin = getPageAsin();
+        const priceEl = findMainPrice(document);
+        if (!asin || !priceEl) return;
+        const anchor = priceEl.closest('#corePriceDisplay_desktop_feature_div, #corePrice_feature_div, #corePrice_desktop, #apex_desktop') || priceEl;
+        const box = document.createElement('div');
+        box.id = 'apc-compare';
+        box.style.cssText = 'margin:6px 0;padding:6px 8px;border:1px solid #ddd;border-radius:6px;font-size:13px;color:#111;background:#fff';
+        box.innerHTML = '<button type="button" class="apc-compare-run" style="cursor:pointer">Compare marketplaces</button><div class="apc-compare-result"></div>';
+        box.querySelector('.apc-compare-run').addEventListener('click', async (e) => {
+            const btn = e.currentTarget;
+            btn.disabled = true;
+            btn.textContent = 'Comparing…';
+            try {
+                renderCompareTable(box, await compareMarketplaces(asin));
+            } catch (err) {
+                const note = document.createElement('div');
+                note.style.cssText = 'margin-top:4px;color:#b12704';
+                note.textContent = `Comparison failed: ${err.message || err}`;
+                box.querySelector('.apc-compare-result').replaceChildren(note);
+            } finally {
+                btn.disabled = false;
+                btn.textContent = 'Compare marketplaces';
+            }
         });
-        btn.addEventListener('click', toggleSettingsPanel);
-        wrap.appendChild(btn);
-        // Place it as the leftmost tool item
-        navTools.insertBefore(wrap, navTools.firstChild);
+        anchor.parentNode.insertBefore(box, anchor.nextSibling);
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // 11. Cart Summary
+    // One converted grand total with a per-line breakdown on the cart page.
+    ////////////////////////////////////////////////////////////////////////////
+
+    /** Cart parts the summary is computed from; other changes leave it alone. */
+    const CART_SCOPE_SELECTOR = [CART_SELECTORS.items, CART_SELECTORS.subtotal, CART_SELECTORS.shipping, CART_SELECTORS.promotions].join(', ');
+
+    /** True on the shopping cart page. */
+    function isCartPage() {
+        return /\/(gp\/cart|cart)(\/|$)/.test(location.pathname) || !!document.getElementById('sc-active-cart');
+    }
+
+    /** Parse a price that may be machine-formatted ("24.99") or display-formatted ("24,99 €"). */
+    function parseCartAmount(raw, iso) {
+        const str = String(raw || '').trim();
+        if (/^-?\d+(\.\d+)?$/.test(str)) return parseFloat(str);
+        return parseStringValue(str, iso);
     }
 
     /**
-     * Create or remove the floating settings panel. Includes:
-     * - Outside click + Esc to close
-     * - Draggable header with smooth, low‑jank movement (rAF + transform)
+     * Collect the cart's line items and Amazon's own totals, all in the page currency.
+     * @returns {{items: Array<{title: string, qty: number, unit: number}>, subtotal: number|null,
+     *   shipping: number, promotions: number, iso: string}|null} Null when there are no items.
      */
-    function toggleSettingsPanel() {
-        const existing = document.getElementById('apc-panel');
-        if (existing) {
-            existing.remove();
+    function readCart() {
+        const subtotalEl = document.querySelector(CART_SELECTORS.subtotal);
+        const iso = subtotalEl ? detectElementCurrency(subtotalEl) : getBaseCurrency();
+        const items = [];
+        document.querySelectorAll(CART_SELECTORS.items).forEach(row => {
+            const priceEl = row.querySelector(CART_SELECTORS.itemPrice);
+            const unit = row.hasAttribute('data-price')
+                ? parseCartAmount(row.getAttribute('data-price'), iso)
+                : (priceEl ? parseCartAmount(textWithoutHints(priceEl), iso) : null);
+            if (unit === null) return;
+            const qtyEl = row.querySelector(CART_SELECTORS.quantity);
+            const qtyRaw = row.getAttribute('data-quantity') || (qtyEl ? (qtyEl.value || qtyEl.textContent) : '1');
+            const qty = parseInt(String(qtyRaw).replace(/\D/g, ''), 10) || 1;
+            const titleEl = row.querySelector(CART_SELECTORS.title);
+            const title = (titleEl ? titleEl.textContent : row.getAttribute('data-asin')).trim().replace(/\s+/g, ' ');
+            items.push({title, qty, unit});
+        });
+        if (!items.length) return null;
+        const amountOf = (sel) => {
+            let sum = 0;
+            document.querySelectorAll(sel).forEach(el => {
+                const v = parseCartAmount(textWithoutHints(el), iso);
+                if (v) sum += Math.abs(v);
+            });
+            return sum;
+        };
+        return {
+            items,
+            subtotal: subtotalEl ? parseCartAmount(textWithoutHints(subtotalEl), iso) : null,
+            shipping: amountOf(CART_SELECTORS.shipping),
+            promotions: amountOf(CART_SELECTORS.promotions),
+            iso,
+        };
+    }
+
+    /**
+     * Render (or update) the cart summary box above the buy box. The checkout is
+     * one transaction, so payment fees apply once, to the grand total.
+     * Re-renders only when the cart contents changed.
+     * @param {Array<Node>} [scopes] Changed subtrees; skipped when none touches the cart.
+     */
+    function renderCartSummary(rates, scopes) {
+        if (!isCartPage() || !scopesMatch(CART_SCOPE_SELECTOR, scopes)) return;
+        const cart = readCart();
+        let box = document.getElementById('apc-cart-summary');
+        if (!cart) {
+            if (box) box.remove();
             return;
         }
-        const panel = document.createElement('div');
-        panel.id = 'apc-panel';
-        panel.style.position = 'fixed';
-        panel.style.top = '64px';
-        panel.style.right = '16px';
-        panel.style.zIndex = '99999';
-        panel.style.background = '#fff';
-        panel.style.border = '1px solid #ddd';
-        panel.style.boxShadow = '0 2px 12px rgba(0,0,0,0.15)';
-        panel.style.padding = '0 12px 10px';
-        panel.style.borderRadius = '6px';
-        panel.style.minWidth = '280px';
-        panel.style.fontSize = '13px';
+        const elRates = ratesForCurrency(cart.iso, rates);
+        const code = SETTINGS.targetCurrency;
+        const rate = elRates[code];
+        if (!(rate > 0)) return;
+        const signature = JSON.stringify([cart, rate, SETTINGS.activePayment]);
+        if (box && box.getAttribute('data-apc-sig') === signature) return;
 
-        const autoFmt = getAutoFormattingFor(SETTINGS.targetCurrency);
-        const html = `
-            <div id="apc-header" style="
-                font-weight:600; margin:0 -12px 8px -12px; padding:10px 12px; cursor:move;
-                background:#f6f7f8; border-bottom:1px solid #e6e6e6; border-radius:6px 6px 0 0;
-                display:flex; align-items:center; justify-content:space-between;">
-                <span>Amazon Price Converter</span>
-                <button id="apc-x" title="Close" style="background:none;border:none;font-size:18px;cursor:pointer;color:#555">×</button>
-            </div>
-            <label style="display:flex;align-items:center;gap:8px;margin:6px 0">
-                <input type="checkbox" id="apc-enabled" ${SETTINGS.enabled ? 'checked' : ''}>
-                <span>Enabled</span>
-            </label>
-            <label style="display:block;margin:6px 0">
-                <div style="margin-bottom:4px">Target currency (ISO):</div>
-                <select id="apc-target" style="width:100%"></select>
-                <div id="apc-auto-hint" style="font-size:12px;color:#666;margin-top:4px">
-                    Auto: locale <b>${autoFmt.locale}</b>, suffix <b>${autoFmt.suffix.replace(/</g, '&lt;')}</b>
-                </div>
-            </label>
-            <div id="apc-adv-wrap" style="margin-top:8px;border-top:1px solid #eee;padding-top:8px">
-                <label style="display:flex;align-items:center;gap:8px;margin:6px 0">
-                    <input type="checkbox" id="apc-override" ${SETTINGS.overrideFormatting ? 'checked' : ''}>
-                    <span>Advanced options: override auto formatting</span>
-                </label>
-                <div id="apc-adv-fields" style="display:${SETTINGS.overrideFormatting ? 'block' : 'none'}">
-                    <label style="display:block;margin:6px 0">
-                        <div style="margin-bottom:4px">Target locale (for number formatting):</div>
-                        <input id="apc-locale" type="text" placeholder="e.g. hu-HU" style="width:100%" value="${SETTINGS.targetLocale}">
-                    </label>
-                    <label style="display:block;margin:6px 0">
-                        <div style="margin-bottom:4px">Suffix (after number):</div>
-                        <input id="apc-suffix" type="text" style="width:100%" value="${SETTINGS.targetSuffix}">
-                    </label>
-                </div>
-            </div>
-            <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:10px">
-                <button id="apc-refresh" class="a-button a-button-base" style="padding:4px 10px">Refresh FX</button>
-                <button id="apc-save" class="a-button a-button-primary" style="padding:4px 10px">Save</button>
-                <button id="apc-close" class="a-button a-button-base" style="padding:4px 10px">Close</button>
-            </div>
+        const itemsTotal = cart.items.reduce((sum, it) => sum + it.unit * it.qty, 0);
+        const grand = itemsTotal + cart.shipping - cart.promotions;
+        const conv = (v) => formatCurrency(v * rate, code);
+        const money = (v) => `${v.toFixed(2)} ${cart.iso}`;
+        const esc = (t) => String(t).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+        const charged = applyPaymentFees(grand * rate, code, elRates);
+        const diff = cart.subtotal === null ? null : itemsTotal - cart.subtotal;
+
+        if (!box) {
+            box = document.createElement('div');
+            box.id = 'apc-cart-summary';
+            box.className = 'a-box';
+            box.style.cssText = 'margin:0 0 10px;padding:8px 10px;font-size:13px;color:#111;background:#fff;border:1px solid #ddd;border-radius:8px';
+            const anchor = document.querySelector('#sc-buy-box') || document.querySelector('#sc-active-cart');
+            if (!anchor || !anchor.parentNode) return;
+            anchor.parentNode.insertBefore(box, anchor);
+        }
+        box.setAttribute('data-apc-sig', signature);
+        const cell = 'padding:1px 4px';
+        box.innerHTML = `
+            <div style="font-weight:700;margin-bottom:4px">Cart in ${esc(code)}</div>
+            <table style="width:100%;font-size:12px;border-collapse:collapse">
+                <thead><tr style="text-align:left"><th style="${cell}">Item</th><th style="${cell}">Qty</th><th style="${cell}">Unit</th><th style="${cell}">Line</th></tr></thead>
+                <tbody>${cart.items.map(it => `<tr>
+                    <td style="${cell};max-width:160px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap" title="${esc(it.title)}">${esc(it.title)}</td>
+                    <td style="${cell}">${it.qty}</td><td style="${cell}">${conv(it.unit)}</td><td style="${cell}">${conv(it.unit * it.qty)}</td>
+                </tr>`).join('')}</tbody>
+            </table>
+            <table style="width:100%;font-size:12px;margin-top:6px">
+                <tr><td>Items</td><td style="text-align:right">${money(itemsTotal)}</td><td style="text-align:right">${conv(itemsTotal)}</td></tr>
+                ${cart.shipping ? `<tr><td>Shipping</td><td style="text-align:right">${money(cart.shipping)}</td><td style="text-align:right">${conv(cart.shipping)}</td></tr>` : ''}
+                ${cart.promotions ? `<tr><td>Promotions</td><td style="text-align:right">−${money(cart.promotions)}</td><td style="text-align:right">−${conv(cart.promotions)}</td></tr>` : ''}
+                ${hasPaymentFees() ? `<tr><td>Card fees (${esc(getActivePaymentProfile().name)})</td><td></td><td style="text-align:right">${formatCurrency(charged.total - charged.mid, code)}</td></tr>` : ''}
+                <tr style="font-weight:700"><td>Grand total</td><td style="text-align:right">${money(grand)}</td><td style="text-align:right">${formatCurrency(charged.total, code)}</td></tr>
+            </table>
+            <div style="font-size:12px;color:#666;margin-top:4px">${diff === null
+                ? 'Amazon subtotal not found on this page.'
+                : (Math.abs(diff) < 0.005
+                    ? 'Matches the subtotal Amazon displays.'
+                    : `Differs from Amazon’s subtotal (${money(cart.subtotal)}) by ${diff > 0 ? '+' : '−'}${money(Math.abs(diff))} / ${conv(Math.abs(diff))}.`)}</div>
         `;
-        panel.innerHTML = html;
-        document.body.appendChild(panel);
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // 12. Order History
+    // Old orders are converted at the rate of their order date, not today's.
+    ////////////////////////////////////////////////////////////////////////////
+
+    /** "Your Orders" list and order-details pages. */
+    const ORDERS_PATH_REGEX = /\/(gp\/your-account\/order-(history|details)|gp\/css\/(order-history|summary)|your-orders)(\/|$|\?)/;
+
+    /** Order cards and their header columns (list and details layouts). */
+    const ORDER_SELECTORS = {
+        cards: '.order-card, .js-order-card, #orderDetails, #orderDetailsPage',
+        headerItems: '.order-header .a-column, .order-header__header-list-item, .order-info .a-column',
+        date: '[data-component="orderDate"], .order-date-invoice-item',
+        total: '.yohtmlc-order-total .value, #od-subtotals .a-row:last-child .a-span-last',
+    };
+
+    /** Header labels of the order date and total, across marketplace languages. */
+    const ORDER_DATE_LABEL = /order placed|ordered on|bestellung aufgegeben|bestellt am|commande effectuée|ordine effettuato|pedido realizado|zamówienie złożone|sipariş verildi|bestelling geplaatst|beställning gjord|注文日/i;
+    const ORDER_TOTAL_LABEL = /^\s*(total|summe|gesamt|totale|importe total|suma|toplam|totaal|totalt|合計)/i;
+    const ORDER_ID_REGEX = /\b[0-9D]\d{2}-\d{7}-\d{7}\b/;
+
+    /** Card → converted order record, read by the CSV export. */
+    const ORDER_INFO = new WeakMap();
+
+    /**
+     * Card → token of the pass that claimed it. A historical fetch only renders
+     * if its card still holds the same token, so a reply landing after the hints
+     * were cleared and the card re-claimed doesn't add a second set.
+     */
+    const ORDER_CLAIMS = new WeakMap();
+
+    /** In-flight historical rate requests, keyed like the storage cache. */
+    const HISTORICAL_PENDING = {};
+
+    function isOrdersPage() {
+        return ORDERS_PATH_REGEX.test(location.pathname + location.search);
+    }
+
+    /** Month names (long and short) for a locale, lower-cased and without dots. */
+    function getMonthNames(locale) {
+        const names = [];
+        ['long', 'short'].forEach(month => {
+            try {
+                const fmt = new Intl.DateTimeFormat(locale, {month, timeZone: 'UTC'});
+                for (let m = 0; m < 12; m++) {
+                    names.push({m, name: fmt.format(new Date(Date.UTC(2000, m, 15))).toLowerCase().replace(/\./g, '')});
+                }
+            } catch (e) { /* unsupported locale */ }
+        });
+        return names;
+    }
+
+    /**
+     * Parse an order date in the marketplace's language ("19 October 2026",
+     * "October 19, 2026", "19. Oktober 2026", "2026年10月19日", "19.10.2026").
+     * Month names match by longest common prefix, so inflected forms
+     * ("października", "maja") still resolve.
+     * @returns {string|null} YYYY-MM-DD
+     */
+    function parseOrderDate(text, host) {
+        const pad = (n) => String(n).padStart(2, '0');
+        const build = (y, m, d) => (m >= 1 && m <= 12 && d >= 1 && d <= 31 ? `${y}-${pad(m)}-${pad(d)}` : null);
+        // Header cells may run label and value together ("placed19 October").
+        text = String(text || '').replace(/(\p{L})(\d)/gu, '$1 $2');
+        let m = /(\d{4})年\s*(\d{1,2})月\s*(\d{1,2})日/.exec(text) || /(\d{4})-(\d{2})-(\d{2})/.exec(text);
+        if (m) return build(+m[1], +m[2], +m[3]);
+        m = /(\d{1,2})[./](\d{1,2})[./](\d{4})/.exec(text);
+        if (m) return build(+m[3], +m[2], +m[1]);
+
+        const year = /\b(19|20)\d{2}\b/.exec(text);
+        if (!year) return null;
+        const months = getMonthNames(getMarketplaceLocale(host) || 'en-US').concat(getMonthNames('en-US'));
+        let month = null;
+        let best = 2; // need at least 3 matching letters
+        text.toLowerCase().split(/[\s.,/-]+/).filter(t => t.length >= 3 && !/\d/.test(t)).forEach(token => {
+            months.forEach(({m: idx, name}) => {
+                let i = 0;
+                while (i < token.length && i < name.length && token[i] === name[i]) i++;
+                if (i > best) {
+                    best = i;
+                    month = idx;
+                }
+            });
+        });
+        const day = text.replace(year[0], ' ').match(/\b(\d{1,2})\b/);
+        return month === null || !day ? null : build(+year[0], month + 1, +day[1]);
+    }
+
+    /**
+     * Rates table of `baseIso` on a past date. Historical rates never change, so
+     * each date is cached for good; concurrent requests for one date share a fetch.
+     * @returns {Promise<{rates: Object<string, number>, date: string}>} `date` is the
+     *   ECB publication day actually used (weekends fall back to the previous business day).
+     */
+    function getHistoricalRates(baseIso, date) {
+        const key = KV.historicalRates + baseIso + '_' + date;
+        const cached = GM_getValue(key, null);
+        if (cached && cached.rates) return Promise.resolve(cached);
+        if (!HISTORICAL_PENDING[key]) {
+            HISTORICAL_PENDING[key] = gmGet(`${HISTORICAL_FX_URL}${date}?from=${encodeURIComponent(baseIso)}`)
+                .then(text => {
+                    const data = JSON.parse(text);
+                    if (!data || !data.rates) throw new Error(`No historical rates for ${baseIso} on ${date}`);
+                    const entry = {rates: Object.assign({}, data.rates, {[baseIso]: 1}), date: data.date || date};
+                    GM_setValue(key, entry);
+                    return entry;
+                })
+                .finally(() => delete HISTORICAL_PENDING[key]);
+        }
+        return HISTORICAL_PENDING[key];
+    }
+
+    /**
+     * Order id, date and price elements of one order card. Header columns are read
+     * by their label; the details page falls back to its own date/total blocks.
+     * @returns {{id: string, date: string, totalEl: HTMLElement, priceEls: HTMLElement[]}|null}
+     */
+    function readOrderCard(card) {
+        let dateText = '';
+        let totalEl = null;
+        card.querySelectorAll(ORDER_SELECTORS.headerItems).forEach(col => {
+            const text = textWithoutHints(col).replace(/\s+/g, ' ').trim();
+            if (!dateText && ORDER_DATE_LABEL.test(text)) dateText = text;
+            else if (!totalEl && ORDER_TOTAL_LABEL.test(text)) {
+                totalEl = col.querySelector('.value, .a-color-secondary:last-child, .a-size-base:last-child') || col.lastElementChild || col;
+            }
+        });
+        if (!dateText) {
+            const dateEl = card.querySelector(ORDER_SELECTORS.date);
+            dateText = dateEl ? textWithoutHints(dateEl) : '';
+        }
+        totalEl = totalEl || card.querySelector(ORDER_SELECTORS.total);
+        const date = parseOrderDate(dateText);
+        if (!date || !totalEl) return null;
+        const idMatch = ORDER_ID_REGEX.exec(card.textContent);
+        const priceEls = Array.from(card.querySelectorAll('.a-price')).filter(el => !totalEl.contains(el));
+        return {id: idMatch ? idMatch[0] : '', date, totalEl, priceEls: [totalEl].concat(priceEls)};
+    }
+
+    /**
+     * Convert every order card on the page at its order date's rate. Cards and
+     * their prices are claimed synchronously (so no unlabelled today's-rate hint
+     * appears), then filled in when the historical table arrives. When it can't
+     * be fetched, today's rate is used and the card says so; such orders are
+     * left out of the CSV export.
+     * @param {Array<Node>} [scopes] Changed subtrees; omitted for a full pass.
+     */
+    function renderOrderHistory(scopes) {
+        queryScopes(ORDER_SELECTORS.cards, scopes).forEach(card => {
+            if (isProcessed(card)) return;
+            const order = readOrderCard(card);
+            if (!order) return;
+            markProcessed(card);
+            order.priceEls.forEach(markProcessed);
+            const claim = {};
+            ORDER_CLAIMS.set(card, claim);
+            const stillClaimed = () => card.isConnected && ORDER_CLAIMS.get(card) === claim && isProcessed(card);
+            const iso = detectElementCurrency(order.totalEl);
+            const parsedTotal = parsePrice(textWithoutHints(order.totalEl), iso);
+            const when = new Date(order.date + 'T12:00:00');
+            const renderHints = (elRates, source) => order.priceEls.forEach(el => {
+                const parsed = el.classList.contains('a-price')
+                    ? parsePriceFromComplexElement(el, iso)
+                    : parsePrice(textWithoutHints(el), iso);
+                if (parsed === null) return;
+                el.appendChild(createHintElement(parsed, elRates, el, source));
+            });
+            getHistoricalRates(iso, order.date).then(entry => {
+                const elRates = resolveRates(entry.rates, iso, SETTINGS.targetCurrencies);
+                if (!hasUsableRates(elRates) || !stillClaimed()) return;
+                renderHints(elRates, {iso, rule: 'order card', when, rateDate: entry.date});
+                if (parsedTotal && parsedTotal.kind === 'single') {
+                    const converted = {};
+                    SETTINGS.targetCurrencies.filter(code => elRates[code] > 0).forEach(code => {
+                        converted[code] = {rate: elRates[code], total: applyPaymentFees(parsedTotal.value * elRates[code], code, elRates, when).total};
+                    });
+                    ORDER_INFO.set(card, {id: order.id, date: order.date, rateDate: entry.date, amount: parsedTotal.value, iso, converted});
+                }
+                ensureOrdersBar();
+            }, () => {
+                if (!stillClaimed()) return;
+                const elRates = ratesForCurrency(iso, CURRENT_RATES);
+                const fallback = hasUsableRates(elRates);
+                if (fallback) renderHints(elRates, {iso, rule: 'order card (today’s rate)'});
+                const span = document.createElement('span');
+                span.className = 'apc-tag';
+                span.style.cssText = 'margin-left:5px;font-size:0.9em;color:#b35c00';
+                span.textContent = fallback ? `(today’s rate: no rate for ${order.date})` : `(no rate for ${order.date})`;
+                order.totalEl.appendChild(span);
+            });
+        });
+    }
+
+    /** Small bar above the orders with the CSV export; added once the first order is converted. */
+    function ensureOrdersBar() {
+        if (document.getElementById('apc-orders-bar')) return;
+        const firstCard = document.querySelector(ORDER_SELECTORS.cards);
+        if (!firstCard || !firstCard.parentNode) return;
+        const bar = document.createElement('div');
+        bar.id = 'apc-orders-bar';
+        bar.style.cssText = 'display:flex;align-items:center;gap:10px;margin:6px 0;font-size:12px;color:#555';
+        bar.innerHTML = `<span>Totals converted at the ECB rate of each order date.</span>
+            <button type="button" id="apc-orders-csv" class="a-button-text" style="padding:2px 8px;border:1px solid #888;border-radius:4px;background:#fff;cursor:pointer">Export CSV</button>`;
+        bar.querySelector('#apc-orders-csv').addEventListener('click', () => downloadOrdersCsv());
+        firstCard.parentNode.insertBefore(bar, firstCard);
+    }
+
+    /** CSV of the converted orders on this page: one row per order, one column pair per target. */
+    function buildOrdersCsv() {
+        const targets = SETTINGS.targetCurrencies;
+        const quote = (v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+        const header = ['Order ID', 'Order date', 'Rate date', 'Amount', 'Currency'];
+        targets.forEach(code => header.push(`Total ${code}`, `Rate ${code}`));
+        const rows = [header];
+        document.querySelectorAll(ORDER_SELECTORS.cards).forEach(card => {
+            const o = ORDER_INFO.get(card);
+            if (!o) return;
+            const row = [o.id, o.date, o.rateDate, o.amount, o.iso];
+            targets.forEach(code => {
+                const c = o.converted[code];
+                row.push(c ? c.total.toFixed(2) : '', c ? c.rate : '');
+            });
+            rows.push(row);
+        });
+        return rows.map(r => r.map(quote).join(',')).join('\r\n');
+    }
+
+    function downloadOrdersCsv() {
+        const blob = new Blob([buildOrdersCsv()], {type: 'text/csv;charset=utf-8'});
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = `amazon-orders-${location.hostname.replace(/^www\./, '')}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // 13. Replace Mode
+    // Converted prices shown in place of Amazon's. The original nodes are moved
+    // into a hidden holder (so parsing still sees them) and moved back on clear.
+    ////////////////////////////////////////////////////////////////////////////
+
+    /** Hotkey that flips every replaced price between converted and original. */
+    // Matched on `code`, since Option/Alt changes `key` on some layouts.
+    const REPLACE_HOTKEY = {code: 'KeyC', altKey: true, shiftKey: true, label: 'Alt+Shift+C'};
+
+    /** Page-wide "show Amazon's originals" state toggled by the hotkey. */
+    let SHOW_ORIGINALS = false;
+
+    function isReplaceMode() {
+        return SETTINGS.displayMode === 'replace';
+    }
+
+    /** First text node under `root` that contains `needle`. */
+    function findTextNodeWith(root, needle) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        let node;
+        while ((node = walker.nextNode())) {
+            if (needle && node.nodeValue.includes(needle) && !node.parentNode.closest('.apc-tag')) return node;
+        }
+        return null;
+    }
+
+    /** Primary converted total of a hint (the first target with a usable rate). */
+    function primaryConversion(hintEl) {
+        const info = HINT_INFO.get(hintEl);
+        return info && info.converted.length ? info.converted[0] : null;
+    }
+
+    /**
+     * Converted price in Amazon's `.a-price` markup (whole, decimal, fraction,
+     * symbol), so the page's own CSS sizes it. Strike-through list prices keep
+     * their plain single-span form.
+     */
+    function buildPriceMarkup(hintEl, container) {
+        const conv = primaryConversion(hintEl);
+        if (!conv) return null;
+        const el = document.createElement('span');
+        const full = formatCurrency(conv.total, conv.code);
+        if (container.classList.contains('a-text-price')) {
+            el.innerHTML = '<span aria-hidden="true"></span>';
+            el.firstChild.textContent = full;
+            return el;
+        }
+        const formatter = FORMATTERS[conv.code] || buildFormatter(SETTINGS, conv.code);
+        const parts = formatter.formatToParts(conv.total);
+        const whole = parts.filter(p => p.type === 'integer' || p.type === 'group').map(p => p.value).join('');
+        const decimal = parts.find(p => p.type === 'decimal');
+        const fraction = parts.find(p => p.type === 'fraction');
+        const affixes = getCurrencyAffixes(conv.code);
+        const symbol = (affixes.prefix || affixes.suffix).trim();
+        const span = (cls, text) => {
+            const s = document.createElement('span');
+            s.className = cls;
+            s.textContent = text;
+            return s;
+        };
+        const wrap = document.createElement('span');
+        wrap.setAttribute('aria-hidden', 'true');
+        const wholeEl = span('a-price-whole', whole);
+        if (decimal && fraction) wholeEl.appendChild(span('a-price-decimal', decimal.value));
+        if (symbol && affixes.prefix) wrap.appendChild(span('a-price-symbol', symbol));
+        wrap.appendChild(wholeEl);
+        if (decimal && fraction) wrap.appendChild(span('a-price-fraction', fraction.value));
+        if (symbol && !affixes.prefix) wrap.appendChild(span('a-price-symbol', symbol));
+        el.appendChild(wrap);
+        return el;
+    }
+
+    /**
+     * Plain-text replacement that inherits the surrounding styling. With
+     * `original`/`needle`, only the price inside the text is swapped
+     * ("€3.99 delivery" → "1 596 Ft delivery").
+     */
+    function buildTextReplacement(hintEl, original, needle) {
+        const conv = primaryConversion(hintEl);
+        if (!conv) return null;
+        const text = formatCurrency(conv.total, conv.code);
+        const el = document.createElement('span');
+        el.textContent = original && needle ? original.replace(needle, text) : text;
+        return el;
+    }
+
+    /**
+     * Swap an element's children (or a single text node) for a converted
+     * replacement. The originals move into a hidden `.apc-original` holder
+     * right before the replacement; `restoreReplacedPrices` moves them back.
+     * @param {Element|Text} target
+     * @param {HTMLElement} hintEl Hint built for the price (supplies tooltip data).
+     * @param {HTMLElement|null} replacement Falls back to appending the hint when null.
+     * @returns {HTMLElement} The node now shown (replacement, or the hint in the fallback).
+     */
+    function swapInPlace(target, hintEl, replacement) {
+        const host = target.nodeType === 3 ? target.parentNode : target;
+        if (!replacement) {
+            host.appendChild(hintEl);
+            return hintEl;
+        }
+        const info = HINT_INFO.get(hintEl);
+        const holder = document.createElement('span');
+        holder.className = 'apc-original';
+        replacement.classList.add('apc-tag', 'apc-replaced');
+        replacement.tabIndex = 0;
+        replacement.setAttribute('role', 'button');
+        replacement.setAttribute('aria-label', `${info.text}; press Enter to show the original price`);
+        if (hintEl.classList.contains('apc-stale')) {
+            replacement.classList.add('apc-stale');
+            replacement.style.opacity = '0.7';
+        }
+        HINT_INFO.set(replacement, Object.assign({}, info, {
+            tips: info.tips.concat(`Replaces Amazon’s price: ${info.text}`, `Click, Enter or ${REPLACE_HOTKEY.label} shows the original`),
+        }));
+        if (target.nodeType === 3) {
+            host.insertBefore(holder, target);
+            holder.appendChild(target);
+        } else {
+            while (target.firstChild) holder.appendChild(target.firstChild);
+            target.appendChild(holder);
+        }
+        host.insertBefore(replacement, holder.nextSibling);
+        setReplacedState(holder, SHOW_ORIGINALS);
+        return replacement;
+    }
+
+    /** Show one holder/replacement pair as original (true) or converted (false). */
+    function setReplacedState(holder, showOriginal) {
+        const replacement = holder.nextSibling;
+        holder.style.display = showOriginal ? '' : 'none';
+        if (replacement && replacement.classList && replacement.classList.contains('apc-replaced')) {
+            replacement.style.display = showOriginal ? 'none' : '';
+        }
+    }
+
+    /** Flip every replaced price between converted and original. */
+    function toggleAllOriginals() {
+        SHOW_ORIGINALS = !SHOW_ORIGINALS;
+        hideHintTooltip();
+        document.querySelectorAll('.apc-original').forEach(h => setReplacedState(h, SHOW_ORIGINALS));
+    }
+
+    /** Move a holder's original nodes back where they were and drop it. */
+    function restoreHolder(holder) {
+        const parent = holder.parentNode;
+        while (holder.firstChild) parent.insertBefore(holder.firstChild, holder);
+        holder.remove();
+    }
+
+    /** Put every replaced price back. */
+    function restoreReplacedPrices() {
+        document.querySelectorAll('.apc-original').forEach(restoreHolder);
+    }
+
+    /**
+     * Hotkey plus click/Enter on a single price, installed once. Clicks are
+     * swallowed so that prices inside product links don't navigate.
+     */
+    function installReplaceControls() {
+        const pairOf = (target) => {
+            const el = target && target.closest ? target.closest('.apc-replaced, .apc-original') : null;
+            if (!el) return null;
+            return el.classList.contains('apc-original') ? el : el.previousSibling;
+        };
+        const flip = (e) => {
+            const holder = pairOf(e.target);
+            if (!holder || !holder.classList || !holder.classList.contains('apc-original')) return;
+            e.preventDefault();
+            e.stopPropagation();
+            hideHintTooltip();
+            setReplacedState(holder, holder.style.display === 'none');
+        };
+        document.addEventListener('click', flip, true);
+        document.addEventListener('keydown', (e) => {
+            if ((e.key === 'Enter' || e.key === ' ') && e.target.classList && e.target.classList.contains('apc-replaced')) {
+                flip(e);
+                return;
+            }
+            const typing = e.target && (e.target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName));
+            if (!typing && e.altKey === REPLACE_HOTKEY.altKey && e.shiftKey === REPLACE_HOTKEY.shiftKey &&
+                e.code === REPLACE_HOTKEY.code && isReplaceMode()) {
+                e.preventDefault();
+                toggleAllOriginals();
+            }
+        });
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // 14. Incremental Processing
+    // Mutations queue only their added subtrees; batches run in idle time and,
+    // optionally, off-screen search results wait until they scroll into view.
+    ////////////////////////////////////////////////////////////////////////////
+
+    /** Subtrees waiting for the next incremental pass. */
+    const PENDING_ROOTS = new Set();
+    let SCAN_SCHEDULED = false;
+
+    /** Our own UI; mutations inside it never need a scan. */
+    const OWN_UI_SELECTOR = '.apc-tag, .apc-original, #apc-panel, #apc-tooltip, #apc-picker, #apc-compare, #apc-cart-summary, #apc-orders-bar, #apc-sort-bar, #apc-checkout-fx';
+
+    /** Search/listing result cards (deferral, budget filter, sorting). */
+    const RESULT_CARD_SELECTOR = '[data-component-type="s-search-result"]';
+    const VISIBLE_CARDS = new WeakSet();
+    const WATCHED_CARDS = new WeakSet();
+    let CARD_OBSERVER = null;
 
-        // Convert initial right-aligned position to left for dragging convenience
-        try {
-            const rect = panel.getBoundingClientRect();
-            const left = Math.max(8, window.innerWidth - rect.width - 16);
-            panel.style.left = left + 'px';
-            panel.style.right = '';
-        } catch (_) {
-        }
+    /** Pass counters shown in the panel. */
+    const PASS_STATS = {full: 0, incremental: 0, totalMs: 0, lastMs: 0, maxMs: 0, lastRoots: 0};
 
-        // Populate currency select
-        const list = ['HUF', 'EUR', 'USD', 'GBP', 'PLN', 'SEK', 'CZK', 'RON', 'JPY', 'TRY', 'AUD', 'CAD', 'CHF', 'NOK', 'DKK', 'MXN'];
-        const sel = panel.querySelector('#apc-target');
-        list.forEach(code => {
-            const opt = document.createElement('option');
-            opt.value = code;
-            opt.textContent = code;
-            if (code === SETTINGS.targetCurrency) opt.selected = true;
-            sel.appendChild(opt);
+    /** Added element subtrees of a mutation batch (text additions count as their parent). */
+    function collectAddedRoots(mutations) {
+        const roots = [];
+        mutations.forEach(m => {
+            if (m.type !== 'childList') return;
+            m.addedNodes.forEach(n => {
+                const el = n.nodeType === 1 ? n : (n.nodeType === 3 ? n.parentElement : null);
+                if (el && el.isConnected && !el.closest(OWN_UI_SELECTOR)) roots.push(el);
+            });
         });
+        return roots;
+    }
 
-        // Update auto hint when currency changes (before save)
-        sel.addEventListener('change', () => {
-            const v = sel.value;
-            const a = getAutoFormattingFor(v);
-            const hint = panel.querySelector('#apc-auto-hint');
-            if (hint) hint.innerHTML = `Auto: locale <b>${a.locale}</b>, suffix <b>${a.suffix.replace(/</g, '&lt;')}</b>`;
-            // If override is on, do not auto-change inputs. If override is off, just update hint.
+    /** Queue subtrees for the next idle-time pass (an empty list just schedules one). */
+    function queueScanRoots(roots) {
+        roots.forEach(r => PENDING_ROOTS.add(r));
+        if (SCAN_SCHEDULED) return;
+        SCAN_SCHEDULED = true;
+        if (typeof requestIdleCallback === 'function') requestIdleCallback(runQueuedScan, {timeout: 500});
+        else setTimeout(runQueuedScan, 200);
+    }
+
+    /**
+     * Run one incremental pass over the queued subtrees. Roots inside another
+     * queued root, or no longer on the page, are dropped first.
+     */
+    function runQueuedScan() {
+        SCAN_SCHEDULED = false;
+        const queued = Array.from(PENDING_ROOTS);
+        PENDING_ROOTS.clear();
+        const roots = queued.filter(root => {
+            if (!root.isConnected) return false;
+            for (let up = root.parentElement; up; up = up.parentElement) {
+                if (PENDING_ROOTS.has(up) || queued.includes(up)) return false;
+            }
+            return true;
         });
+        ensureSettingsCog();
+        attachOutsideClose();
+        if (SETTINGS.enabled) runConversionPass(CURRENT_RATES, roots);
+    }
 
-        const closePanel = () => panel.remove();
-        panel.querySelector('#apc-x')?.addEventListener('click', closePanel);
-        panel.querySelector('#apc-close')?.addEventListener('click', closePanel);
-        const advFields = panel.querySelector('#apc-adv-fields');
-        const overrideChk = panel.querySelector('#apc-override');
-        if (overrideChk) {
-            overrideChk.addEventListener('change', (e) => {
-                if (advFields) advFields.style.display = e.target.checked ? 'block' : 'none';
-            });
+    /**
+     * With "defer off-screen results" on, hold back elements inside a search
+     * result card that hasn't been near the viewport yet; the card is queued
+     * for conversion once it scrolls within 300 px.
+     * @returns {boolean} True when the element should be skipped for now.
+     */
+    function deferUntilVisible(el) {
+        if (!SETTINGS.deferOffscreen || typeof IntersectionObserver !== 'function') return false;
+        const card = el.closest(RESULT_CARD_SELECTOR);
+        if (!card || VISIBLE_CARDS.has(card)) return false;
+        if (!CARD_OBSERVER) {
+            CARD_OBSERVER = new IntersectionObserver((entries) => {
+                const shown = entries.filter(e => e.isIntersecting).map(e => e.target);
+                shown.forEach(card => {
+                    VISIBLE_CARDS.add(card);
+                    CARD_OBSERVER.unobserve(card);
+                });
+                if (shown.length) queueScanRoots(shown);
+            }, {rootMargin: '300px 0px'});
         }
-        panel.querySelector('#apc-refresh')?.addEventListener('click', async () => {
-            // bust cache for current base
-            const base = CURRENT_BASE || detectBaseCurrencyFromHost();
-            GM_setValue(KV.lastUpdate + base, 0);
-            GM_setValue(KV.lastRates + base, null);
-            CURRENT_RATE = await getExchangeRate(base, SETTINGS.targetCurrency);
-            clearRenderedHints();
-            runConversionPass(CURRENT_RATE);
-        });
-        panel.querySelector('#apc-save')?.addEventListener('click', async () => {
-            const enabled = panel.querySelector('#apc-enabled').checked;
-            const targetCurrency = panel.querySelector('#apc-target').value;
-            const overrideFormatting = !!panel.querySelector('#apc-override')?.checked;
-            let targetLocale = SETTINGS.targetLocale;
-            let targetSuffix = SETTINGS.targetSuffix;
-            if (overrideFormatting) {
-                targetLocale = panel.querySelector('#apc-locale')?.value || '';
-                targetSuffix = panel.querySelector('#apc-suffix')?.value || '';
-            } else {
-                // compute and persist autos for convenience
-                const auto = getAutoFormattingFor(targetCurrency);
-                targetLocale = auto.locale;
-                targetSuffix = auto.suffix;
+        if (!WATCHED_CARDS.has(card)) {
+            WATCHED_CARDS.add(card);
+            CARD_OBSERVER.observe(card);
+        }
+        return true;
+    }
+
+    /** Count a pass and refresh the panel's timing line if it is open. */
+    function recordPassTiming(ms, scopes) {
+        if (scopes) PASS_STATS.incremental++;
+        else PASS_STATS.full++;
+        PASS_STATS.totalMs += ms;
+        PASS_STATS.lastMs = ms;
+        PASS_STATS.maxMs = Math.max(PASS_STATS.maxMs, ms);
+        PASS_STATS.lastRoots = scopes ? scopes.length : 0;
+        const panel = document.getElementById('apc-panel');
+        if (panel) renderPassStats(panel);
+    }
+
+    /** "Passes: 12 (2 full, 10 incremental) · last 0.8 ms …" line in the panel. */
+    function renderPassStats(panel) {
+        const el = panel.querySelector('#apc-perf');
+        if (!el) return;
+        const count = PASS_STATS.full + PASS_STATS.incremental;
+        const ms = (v) => `${v.toFixed(1)} ms`;
+        el.textContent = !count ? 'Passes: none yet' :
+            `Passes: ${count} (${PASS_STATS.full} full, ${PASS_STATS.incremental} incremental) · ` +
+            `last ${ms(PASS_STATS.lastMs)}${PASS_STATS.lastRoots ? ` over ${PASS_STATS.lastRoots} subtree${PASS_STATS.lastRoots === 1 ? '' : 's'}` : ''} · ` +
+            `avg ${ms(PASS_STATS.totalMs / count)} · max ${ms(PASS_STATS.maxMs)}`;
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // 15. Budget Filter
+    // Dims, hides or badges result cards by their converted price, using the
+    // values the conversion pass already parsed.
+    ////////////////////////////////////////////////////////////////////////////
+
+    /** Card → inline styles it had before we dimmed/hid it. */
+    const BUDGET_STYLES = new WeakMap();
+
+    /**
+     * Converted price of a result card in the primary target currency, fees
+     * applied once. Ranges count with their lower end. Delivery comes from the
+     * card's `data-csa-c-delivery-price` (same currency as the item).
+     * @param {HTMLElement} card
+     * @param {Object<string, number>} rates Target ISO → BASE→TARGET rate.
+     * @param {boolean} withDelivery Add the delivery fee (0 when free or unknown).
+     * @returns {{goods: number, delivery: number|null, iso: string, code: string, total: number}|null}
+     *   Null when the card's price hasn't been converted (yet).
+     */
+    function getResultTotal(card, rates, withDelivery) {
+        const priceEl = [card.querySelector('.a-price-range'), card.querySelector('.a-price:not(.a-text-price)')]
+            .find(el => getParsedPrice(el));
+        if (!priceEl) return null;
+        const {parsed, iso} = getParsedPrice(priceEl);
+        const goods = parsed.kind === 'range' ? parsed.min : parsed.value;
+        const code = SETTINGS.targetCurrency;
+        const elRates = ratesForCurrency(iso, rates);
+        if (typeof goods !== 'number' || !(elRates[code] > 0)) return null;
+        const delivery = withDelivery ? findDeliveryFee(card) : null;
+        const total = applyPaymentFees((goods + (delivery || 0)) * elRates[code], code, elRates).total;
+        return {goods, delivery, iso, code, total};
+    }
+
+    /** Put a card's dim/hide styles back and drop its badge. */
+    function resetBudgetCard(card) {
+        const saved = BUDGET_STYLES.get(card);
+        if (saved) {
+            card.style.opacity = saved.opacity;
+            card.style.filter = saved.filter;
+            card.style.display = saved.display;
+            BUDGET_STYLES.delete(card);
+        }
+        card.classList.remove('apc-budget-in', 'apc-budget-out');
+        card.querySelectorAll('.apc-budget-badge').forEach(b => b.remove());
+    }
+
+    /** Undo every budget mark on the page. */
+    function clearBudgetMarks() {
+        document.querySelectorAll('.apc-budget-in, .apc-budget-out').forEach(resetBudgetCard);
+    }
+
+    /**
+     * Mark result cards against the budget range. Cards without a converted
+     * price are left alone. Unchanged cards are not touched, so our own changes
+     * don't retrigger the observer. Saving a new budget re-renders everything,
+     * which gives the full pass.
+     * @param {Array<Node>} [scopes] Changed subtrees; only their cards are checked.
+     */
+    function applyBudgetFilter(rates, scopes) {
+        const {budgetMin: min, budgetMax: max} = SETTINGS;
+        queryScopes(RESULT_CARD_SELECTOR, scopes).forEach(card => {
+            const t = getResultTotal(card, rates, SETTINGS.budgetWithDelivery);
+            if (!t || (!min && !max)) {
+                if (card.matches('.apc-budget-in, .apc-budget-out')) resetBudgetCard(card);
+                return;
+            }
+            const inside = !(min && t.total < min) && !(max && t.total > max);
+            const what = SETTINGS.budgetWithDelivery ? `with delivery${t.delivery === null ? ' (unknown)' : ''}` : 'item price';
+            const label = inside
+                ? `✓ Within budget: ${formatCurrency(t.total, t.code)} ${what}`
+                : `Outside budget: ${formatCurrency(t.total, t.code)} ${what}`;
+            const badge = card.querySelector('.apc-budget-badge');
+            if (card.classList.contains(inside ? 'apc-budget-in' : 'apc-budget-out') &&
+                (badge ? badge.textContent === label : !(inside && SETTINGS.budgetBadge))) return;
+            resetBudgetCard(card);
+
+            card.classList.add(inside ? 'apc-budget-in' : 'apc-budget-out');
+            if (!inside) {
+                BUDGET_STYLES.set(card, {opacity: card.style.opacity, filter: card.style.filter, display: card.style.display});
+                if (SETTINGS.budgetAction === 'hide') card.style.display = 'none';
+                else {
+                    card.style.opacity = '0.35';
+                    card.style.filter = 'grayscale(1)';
+                }
+            }
+            if (inside && SETTINGS.budgetBadge) {
+                const range = [min && `min ${formatCurrency(min, t.code)}`, max && `max ${formatCurrency(max, t.code)}`].filter(Boolean).join(', ');
+                const el = document.createElement('div');
+                el.className = 'apc-tag apc-budget-badge';
+                el.style.cssText = 'display:inline-block;margin:2px 0;padding:1px 6px;font-size:12px;font-weight:600;color:#0a5e1d;background:#e3f5e6;border:1px solid #9fd6a8;border-radius:10px';
+                el.textContent = label;
+                el.title = `Budget: ${range}`;
+                card.insertBefore(el, card.firstChild);
             }
-            saveSettings({enabled, targetCurrency, targetLocale, targetSuffix, overrideFormatting});
-            // When settings change, refresh rate and rerender
-            const base = CURRENT_BASE || detectBaseCurrencyFromHost();
-            CURRENT_RATE = await getExchangeRate(base, SETTINGS.targetCurrency);
-            clearRenderedHints();
-            if (SETTINGS.enabled) runConversionPass(CURRENT_RATE);
         });
+    }
 
-        // Stop propagation so outside-click closer doesn't immediately close
-        panel.addEventListener('click', (e) => e.stopPropagation());
+    ////////////////////////////////////////////////////////////////////////////
+    // 16. Result Sorting
+    // Reorders search result cards by converted price + delivery, which
+    // Amazon's own price sort ignores. The original order can be restored.
+    ////////////////////////////////////////////////////////////////////////////
 
-        // Draggable behavior via header
-        const header = panel.querySelector('#apc-header');
-        if (header) {
-            // Prevent page scroll during drag (touch/pen)
-            header.style.touchAction = 'none';
-            // Use Pointer Events + requestAnimationFrame and CSS transform for smoothness.
-            // We compute deltas relative to the panel's current left/top and then commit
-            // the final position on pointerup to avoid layout thrash during the drag.
+    /** While sorted: the results container and its cards in Amazon's order. */
+    let SORT_STATE = null;
 
-            let dragging = false;
-            let startX = 0, startY = 0;     // pointer start
-            let baseLeft = 0, baseTop = 0;  // left/top at drag start
-            let dx = 0, dy = 0;             // live deltas
-            let rafId = 0;
+    /** Result cards that are direct children of the first card's container. */
+    function getResultCards() {
+        const first = document.querySelector(RESULT_CARD_SELECTOR);
+        if (!first || !first.parentElement) return [];
+        return Array.from(first.parentElement.children).filter(el => el.matches(RESULT_CARD_SELECTOR));
+    }
 
-            const onPointerMove = (e) => {
-                // Coalesce rapid events via rAF
-                dx = e.clientX - startX;
-                dy = e.clientY - startY;
-                if (!rafId) {
-                    rafId = requestAnimationFrame(() => {
-                        rafId = 0;
-                        // Keep within viewport with margins, applied to visual position
-                        const margin = 4;
-                        const w = panel.offsetWidth;
-                        const h = panel.offsetHeight;
-                        let nx = baseLeft + dx;
-                        let ny = baseTop + dy;
-                        nx = Math.min(window.innerWidth - w - margin, Math.max(margin, nx));
-                        ny = Math.min(window.innerHeight - h - margin, Math.max(margin, ny));
-                        // Apply visual movement via transform relative to base position
-                        const tx = nx - baseLeft;
-                        const ty = ny - baseTop;
-                        panel.style.transform = `translate(${tx}px, ${ty}px)`;
-                    });
-                }
-                e.preventDefault();
-            };
+    /** Add the sort bar above the first result (search pages with at least two results). */
+    function ensureSortBar() {
+        if (document.getElementById('apc-sort-bar')) return;
+        const cards = getResultCards();
+        if (cards.length < 2) return;
+        const bar = document.createElement('div');
+        bar.id = 'apc-sort-bar';
+        bar.style.cssText = 'display:flex;align-items:center;gap:10px;margin:6px 0;font-size:12px;color:#555;width:100%';
+        const button = 'padding:2px 8px;border:1px solid #888;border-radius:4px;background:#fff;cursor:pointer';
+        bar.innerHTML = `<button type="button" id="apc-sort-total" style="${button}">Sort by converted total</button>
+            <button type="button" id="apc-sort-reset" style="${button}">Reset order</button>
+            <span id="apc-sort-status"></span>`;
+        bar.querySelector('#apc-sort-total').addEventListener('click', () => sortResultsByTotal());
+        bar.querySelector('#apc-sort-reset').addEventListener('click', () => restoreResultOrder());
+        cards[0].parentNode.insertBefore(bar, cards[0]);
+        updateSortStatus();
+    }
 
-            const endDrag = () => {
-                if (!dragging) return;
-                dragging = false;
-                header.releasePointerCapture?.(lastPointerId);
-                window.removeEventListener('pointermove', onPointerMove);
-                window.removeEventListener('pointerup', endDrag);
-                window.removeEventListener('pointercancel', endDrag);
-                document.body.style.userSelect = '';
-                if (rafId) {
-                    cancelAnimationFrame(rafId);
-                    rafId = 0;
-                }
-                // Commit final position: compute visual offsets from transform and add to base
-                const tr = panel.style.transform;
-                let tx = 0, ty = 0;
-                if (tr && tr.startsWith('translate(')) {
-                    const m = tr.match(/translate\(([-\d.]+)px,\s*([\-\d.]+)px\)/);
-                    if (m) {
-                        tx = parseFloat(m[1]) || 0;
-                        ty = parseFloat(m[2]) || 0;
-                    }
-                }
-                const finalLeft = baseLeft + tx;
-                const finalTop = baseTop + ty;
-                panel.style.transform = 'none';
-                panel.style.left = Math.round(finalLeft) + 'px';
-                panel.style.top = Math.round(finalTop) + 'px';
-                panel.style.willChange = '';
-            };
+    function updateSortStatus(text) {
+        const status = document.getElementById('apc-sort-status');
+        const reset = document.getElementById('apc-sort-reset');
+        if (status) status.textContent = text || (SORT_STATE ? 'Sorted by converted total.' : 'Amazon’s order.');
+        if (reset) reset.disabled = !SORT_STATE;
+    }
 
-            let lastPointerId = 0;
-            header.addEventListener('pointerdown', (e) => {
-                // Only start drag on primary button/touch/pen
-                if (e.button !== undefined && e.button !== 0) return;
-                dragging = true;
-                lastPointerId = e.pointerId || 0;
-                const rect = panel.getBoundingClientRect();
-                // Ensure left/top are numeric anchors to compute deltas from
-                const curLeft = parseFloat(panel.style.left || rect.left);
-                const curTop = parseFloat(panel.style.top || rect.top);
-                baseLeft = isFinite(curLeft) ? curLeft : rect.left;
-                baseTop = isFinite(curTop) ? curTop : rect.top;
-                startX = e.clientX;
-                startY = e.clientY;
-                dx = 0;
-                dy = 0;
-                panel.style.willChange = 'transform';
-                document.body.style.userSelect = 'none';
-                header.setPointerCapture?.(lastPointerId);
-                window.addEventListener('pointermove', onPointerMove, {passive: false});
-                window.addEventListener('pointerup', endDrag);
-                window.addEventListener('pointercancel', endDrag);
-                e.preventDefault();
-            });
+    /**
+     * Reorder the result cards, cheapest converted price + delivery first.
+     * Only the cards move: ads and banners between them keep their slots.
+     * Cards without a converted price (yet) go last, in Amazon's order.
+     */
+    function sortResultsByTotal() {
+        const cards = getResultCards();
+        if (cards.length < 2 || !hasUsableRates(CURRENT_RATES)) return;
+        const parent = cards[0].parentNode;
+        if (!SORT_STATE || SORT_STATE.parent !== parent) SORT_STATE = {parent, cards};
+
+        const totals = new Map(cards.map(card => [card, getResultTotal(card, CURRENT_RATES, true)]));
+        const sorted = cards.slice().sort((a, b) => {
+            const ta = totals.get(a);
+            const tb = totals.get(b);
+            if (!ta || !tb) return (ta ? 0 : 1) - (tb ? 0 : 1);
+            return ta.total - tb.total;
+        });
+        placeCards(cards, sorted);
+
+        const missing = cards.filter(card => !totals.get(card)).length;
+        const unknownDelivery = cards.filter(card => totals.get(card) && totals.get(card).delivery === null).length;
+        const notes = [`Sorted by price + delivery in ${SETTINGS.targetCurrency}`];
+        if (unknownDelivery) notes.push(`${unknownDelivery} without delivery info counted as free`);
+        if (missing) notes.push(`${missing} without a price moved last`);
+        updateSortStatus(notes.join(' · ') + '.');
+    }
+
+    /** Move `ordered` into the positions currently held by `cards` (same set of nodes, one parent). */
+    function placeCards(cards, ordered) {
+        const parent = cards[0].parentNode;
+        const slots = cards.map(card => {
+            const slot = document.createComment('apc-slot');
+            parent.insertBefore(slot, card);
+            return slot;
+        });
+        ordered.forEach((card, i) => parent.insertBefore(card, slots[i]));
+        slots.forEach(slot => slot.remove());
+    }
+
+    /** Put the results back in Amazon's order (cards added since then stay at the end). */
+    function restoreResultOrder() {
+        if (!SORT_STATE) return;
+        const original = SORT_STATE.cards;
+        SORT_STATE = null;
+        const cards = getResultCards();
+        const rank = (card) => (original.includes(card) ? original.indexOf(card) : original.length);
+        if (cards.length) placeCards(cards, cards.slice().sort((a, b) => rank(a) - rank(b)));
+        updateSortStatus();
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // 17. Checkout Currency Conversion
+    // Amazon offers to charge in the customer's currency at its own rate
+    // ("Amazon Currency Converter"); compare that with paying in the site
+    // currency and letting the card convert (mid-market + card fees).
+    ////////////////////////////////////////////////////////////////////////////
+
+    const CHECKOUT_PATH_REGEX = /\/(gp\/buy|checkout)\//;
+
+    /** Payment-currency selector and order total on checkout pages (old and new layouts). */
+    const CHECKOUT_SELECTORS = {
+        converter: '#currency-conversion-selector, #pmts-currency-conversion, .pmts-currency-conversion, [data-testid="currency-conversion"]',
+        option: 'input[type="radio"]',
+        grandTotal: '#subtotals-marketplace-table .grand-total-price, .grand-total-price, #subtotals-marketplace-spp-bottom',
+    };
+
+    /** Heading text of the selector, for layouts without a known id (marketplace languages). */
+    const CHECKOUT_CONVERTER_LABEL = /amazon currency converter|amazon-währungsrechner|convertisseur de devises amazon|convertitore di valuta amazon|conversor de divisas de amazon|przelicznik walut amazon/i;
+
+    let CHECKOUT_CONTAINER = null; // payment-currency selector found last, while it stays in the page
+
+    function isCheckoutPage() {
+        return CHECKOUT_PATH_REGEX.test(location.pathname);
+    }
+
+    /** The payment-currency selector: a known container, else the block around the converter label holding the radio options. */
+    function findCurrencySelector() {
+        if (CHECKOUT_CONTAINER && CHECKOUT_CONTAINER.isConnected) return CHECKOUT_CONTAINER;
+        CHECKOUT_CONTAINER = document.querySelector(CHECKOUT_SELECTORS.converter);
+        if (CHECKOUT_CONTAINER) return CHECKOUT_CONTAINER;
+        const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+        let node;
+        while ((node = walker.nextNode())) {
+            if (!CHECKOUT_CONVERTER_LABEL.test(node.nodeValue) || node.parentElement.closest(OWN_UI_SELECTOR)) continue;
+            let el = node.parentElement;
+            for (let depth = 0; el && depth < 6; depth++, el = el.parentElement) {
+                if (el.querySelectorAll(CHECKOUT_SELECTORS.option).length >= 2) return (CHECKOUT_CONTAINER = el);
+            }
         }
+        return null;
     }
 
-    // Close the settings panel when clicking outside of it (and not on the cog)
-    let outsideCloseAttached = false;
+    /**
+     * True when a batch of changed subtrees may affect the comparison: it touches
+     * the known payment section or the grand total, or (before the section was
+     * found) brings payment options or the converter label.
+     */
+    function scopesTouchCheckout(scopes) {
+        const known = CHECKOUT_CONTAINER && CHECKOUT_CONTAINER.isConnected ? CHECKOUT_CONTAINER : null;
+        if (known) return scopes.some(s => s.contains(known) || known.contains(s)) || scopesMatch(CHECKOUT_SELECTORS.grandTotal, scopes);
+        return scopesMatch(`${CHECKOUT_SELECTORS.converter}, ${CHECKOUT_SELECTORS.option}`, scopes)
+            || scopes.some(s => CHECKOUT_CONVERTER_LABEL.test(s.textContent || ''));
+    }
 
     /**
-     * One-time global listeners to close the panel on outside click or Esc.
-     * Safe to call multiple times; attaches only once per page.
+     * The amount shown in one payment-currency option: the smallest element
+     * whose text is a single price. Rate lines ("1 EUR = 412,35 HUF") are skipped.
+     * @returns {{amount: number, iso: string}|null}
      */
-    function attachOutsideClose() {
-        if (outsideCloseAttached) return;
-        outsideCloseAttached = true;
-        document.addEventListener('click', (e) => {
-            const panel = document.getElementById('apc-panel');
-            const cog = document.getElementById('apc-cog');
-            if (!panel) return;
-            const target = e.target;
-            const insidePanel = target && (target.closest ? target.closest('#apc-panel') : null);
-            const onCog = target && (target.closest ? target.closest('#apc-cog') : null);
-            if (!insidePanel && !onCog) {
-                panel.remove();
-            }
-        }, true);
-        // Optional: close with Escape
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                const panel = document.getElementById('apc-panel');
-                if (panel) panel.remove();
+    function readOptionAmount(option) {
+        const leaves = Array.from(option.querySelectorAll('*')).concat(option)
+            .filter(el => !el.closest('.apc-tag') && !el.querySelector('*:not(br)'));
+        for (const el of leaves) {
+            const text = textWithoutHints(el).trim();
+            if (!text || text.length > 30 || text.includes('=') || !NUMBER_TEST_REGEX.test(text)) continue;
+            const iso = detectCurrencyInText(text, getBaseCurrency());
+            const amount = iso ? parseStringValue(text, iso) : null;
+            if (amount) return {amount, iso};
+        }
+        return null;
+    }
+
+    /**
+     * Read the payment-currency choice: Amazon's converted offer and, when
+     * listed, the amount in the site currency (else the order's grand total).
+     * @returns {{container: HTMLElement, total: number, base: string, offer: {amount: number, iso: string, selected: boolean}, baseSelected: boolean}|null}
+     */
+    function readCheckoutConversion() {
+        const container = findCurrencySelector();
+        if (!container) return null;
+        const base = getBaseCurrency();
+        let offer = null;
+        let total = null;
+        let baseSelected = false;
+        container.querySelectorAll(CHECKOUT_SELECTORS.option).forEach(input => {
+            const option = input.closest('label, .a-radio, [role="radio"], .pmts-currency-option') || input.parentElement;
+            const hit = option && readOptionAmount(option);
+            if (!hit) return;
+            if (hit.iso === base) {
+                total = hit.amount;
+                baseSelected = input.checked;
+            } else if (!offer) {
+                offer = Object.assign(hit, {selected: input.checked});
             }
         });
+        if (!offer) return null;
+        if (total === null) {
+            const totalEl = document.querySelector(CHECKOUT_SELECTORS.grandTotal);
+            total = totalEl ? parseStringValue(textWithoutHints(totalEl), detectElementCurrency(totalEl)) : null;
+        }
+        return total ? {container, total, base, offer, baseSelected} : null;
+    }
+
+    /**
+     * Show which payment currency is cheaper: Amazon's converted amount versus
+     * the order total at the mid-market rate plus the active card's fees.
+     * @param {Array<Node>} [scopes] Changed subtrees; batches away from the payment section are skipped.
+     */
+    function renderCheckoutComparison(scopes) {
+        if (!isCheckoutPage() || (scopes && !scopesTouchCheckout(scopes))) return;
+        const info = readCheckoutConversion();
+        let box = document.getElementById('apc-checkout-fx');
+        if (!info) {
+            if (box) box.remove();
+            return;
+        }
+        const {total, base, offer} = info;
+        const rate = crossConvert(1, base, offer.iso);
+        if (!(rate > 0)) return;
+        const primary = SETTINGS.targetCurrency;
+        const feeRates = {[offer.iso]: rate, [primary]: crossConvert(1, base, primary) || 0};
+        const mid = total * rate;
+        const card = applyPaymentFees(mid, offer.iso, feeRates);
+        const amazonPct = (offer.amount / mid - 1) * 100;
+        const diff = offer.amount - card.total;
+        const diffPct = diff / card.total * 100;
+        const signature = JSON.stringify([total, offer, rate, SETTINGS.activePayment]);
+        if (box && box.getAttribute('data-apc-sig') === signature) return;
+
+        const money = (v) => formatCurrency(v, offer.iso);
+        const pct = (v) => `${v >= 0 ? '+' : '−'}${Math.abs(v).toFixed(1)}%`;
+        const cardName = getActivePaymentProfile().name;
+        const amazonCheaper = diff < 0;
+        const verdict = Math.abs(diff) < 0.005 * card.total
+            ? 'Both options cost about the same.'
+            : (amazonCheaper
+                ? `Paying in ${offer.iso} through Amazon is cheaper by ${Math.abs(diffPct).toFixed(1)}% (${money(-diff)}).`
+                : `Paying in ${base} and letting your card convert is cheaper by ${(diff / offer.amount * 100).toFixed(1)}% (${money(diff)}).`);
+
+        if (!box) {
+            box = document.createElement('div');
+            box.id = 'apc-checkout-fx';
+            box.style.cssText = 'margin:8px 0;padding:8px 10px;font-size:13px;color:#111;background:#fff;border:1px solid #ddd;border-radius:8px';
+            info.container.parentNode.insertBefore(box, info.container.nextSibling);
+        }
+        box.setAttribute('data-apc-sig', signature);
+        box.style.borderColor = amazonCheaper ? '#9fd6a8' : '#e0a4a4';
+        box.innerHTML = `
+            <div style="font-weight:700;margin-bottom:4px">Amazon Currency Converter vs. your card</div>
+            <table style="width:100%;font-size:12px">
+                <tr><td>Amazon charges</td><td style="text-align:right">${money(offer.amount)}</td><td style="text-align:right;color:#666">${pct(amazonPct)} vs. mid‑market</td></tr>
+                <tr><td>Your card (${cardName.replace(/&/g, '&amp;').replace(/</g, '&lt;')})</td><td style="text-align:right">≈ ${money(card.total)}</td><td style="text-align:right;color:#666">${pct((card.total / mid - 1) * 100)} vs. mid‑market</td></tr>
+                <tr><td>Mid‑market</td><td style="text-align:right">${money(mid)}</td><td style="text-align:right;color:#666">${total.toFixed(2)} ${base} × ${rate.toFixed(4)}</td></tr>
+            </table>
+            <div style="margin-top:4px;font-weight:600;color:${amazonCheaper ? '#0a5e1d' : '#b12704'}">${verdict}</div>
+            <div style="font-size:12px;color:#666;margin-top:2px">Amazon’s rate: 1 ${base} = ${(offer.amount / total).toFixed(4)} ${offer.iso}. Currently selected: ${offer.selected ? offer.iso : (info.baseSelected ? base : 'unknown')}.</div>
+        `;
+    }
+
+    ////////////////////////////////////////////////////////////////////////////
+    // 18. Cross-Tab Sync
+    // Settings saved and rates fetched in one tab are picked up by every other
+    // open Amazon tab, which re-renders without a reload.
+    ////////////////////////////////////////////////////////////////////////////
+
+    const SYNC_DELAY_MS = 150; // a save writes many keys; react once
+    const SYNC_STATE = {settings: false, rates: false, timer: null, bases: new Set()};
+
+    /** True when the userscript manager reports storage changes made by other tabs. */
+    function canSyncTabs() {
+        return typeof GM_addValueChangeListener === 'function';
+    }
+
+    /** Listen for settings changes made in other tabs. Without manager support, tabs stay independent. */
+    function installCrossTabSync() {
+        if (!canSyncTabs()) return;
+        const keys = new Set(Object.keys(DEFAULTS).map(name => KV[name]).filter(Boolean));
+        keys.add(KV.schemaVersion);
+        keys.forEach(key => GM_addValueChangeListener(key, (name, oldValue, newValue, remote) => {
+            if (remote) queueRemoteSync('settings');
+        }));
+    }
+
+    /**
+     * Listen for a rates table cached by another tab. The timestamp is written
+     * after the table and provider, so both are in place when it changes.
+     * @param {string} baseIso Base currency of the table.
+     */
+    function watchRateTable(baseIso) {
+        if (!canSyncTabs() || SYNC_STATE.bases.has(baseIso)) return;
+        SYNC_STATE.bases.add(baseIso);
+        GM_addValueChangeListener(KV.lastUpdate + baseIso, (name, oldValue, newValue, remote) => {
+            // 0 only expires the cache ("Refresh FX" elsewhere); that tab fetches the new table.
+            if (remote && newValue > 0 && baseIso === getBaseCurrency()) queueRemoteSync('rates');
+        });
+    }
+
+    /** Coalesce remote changes into a single reload and re-render. */
+    function queueRemoteSync(kind) {
+        SYNC_STATE[kind] = true;
+        if (SYNC_STATE.timer) return;
+        SYNC_STATE.timer = setTimeout(applyRemoteSync, SYNC_DELAY_MS);
+    }
+
+    /**
+     * Reload settings and formatters (when they changed), take the rates from the
+     * shared cache and re-render. The fetch lock keeps this from refetching in
+     * every tab when new targets need a new table.
+     */
+    async function applyRemoteSync() {
+        const settingsChanged = SYNC_STATE.settings;
+        SYNC_STATE.settings = SYNC_STATE.rates = false;
+        SYNC_STATE.timer = null;
+        if (settingsChanged) {
+            SETTINGS = loadSettings();
+            FORMATTERS = buildFormatters(SETTINGS);
+            CURRENT_BASE = detectPageCurrency().iso;
+        }
+        await loadCurrentRates();
+        refreshHints();
+        const panel = document.getElementById('apc-panel');
+        if (panel && settingsChanged) renderProfileLine(panel);
     }
 
     async function init() {
         SETTINGS = loadSettings();
-        FORMATTER = buildFormatter(SETTINGS);
-        CURRENT_BASE = detectBaseCurrencyFromHost();
+        FORMATTERS = buildFormatters(SETTINGS);
+        CURRENT_BASE = detectPageCurrency().iso;
         ensureSettingsCog();
+        installHintTooltips();
+        installReplaceControls();
+        installCrossTabSync();
 
-        CURRENT_RATE = await getExchangeRate(CURRENT_BASE, SETTINGS.targetCurrency);
-        if (!CURRENT_RATE && SETTINGS.enabled) {
-            // Allow still running with last cached if any, else skip.
-        }
+        // Falls back to an expired cached table (marked stale) and retries with
+        // backoff; with no rate at all, the cog and panel show the error instead.
+        await loadCurrentRates();
+        updateCogState();
 
-        if (SETTINGS.enabled) runConversionPass(CURRENT_RATE || 0);
+        if (SETTINGS.enabled) runConversionPass(CURRENT_RATES);
 
         // Observe dynamic content; Amazon frequently updates portions of the DOM.
-        const debouncedRun = debounce(() => {
-            ensureSettingsCog();
-            attachOutsideClose();
-            if (SETTINGS.enabled) runConversionPass(CURRENT_RATE || 0);
-        }, 200);
-        const observer = new MutationObserver(debouncedRun);
+        // Only the added subtrees are scanned, batched into idle time. Text and
+        // attribute changes only matter when they hit an already converted price.
+        const observer = new MutationObserver((mutations) => {
+            const sourceChanged = noteSourceMutations(mutations);
+            const added = collectAddedRoots(mutations);
+            if (sourceChanged || added.length) queueScanRoots(added);
+        });
         if (document.body) {
-            observer.observe(document.body, {childList: true, subtree: true});
+            observer.observe(document.body, {childList: true, subtree: true, characterData: true, attributes: true});
         }
         // Also attach once at init
         attachOutsideClose();